@@ -0,0 +1,55 @@
+const config = require("./config");
+
+// ============ 成绩提交合理性校验 ============
+
+/**
+ * 从 startStage 开局时单局最多可推进的关卡数
+ */
+function getMaxAdvance(startStage) {
+  const rules = config.rankRunRules;
+  const stageRule = rules.stages[startStage];
+  return stageRule && stageRule.maxAdvance !== undefined ? stageRule.maxAdvance : rules.maxAdvance;
+}
+
+/**
+ * 从 startStage 推进到 instanceID 至少需要的秒数，按每关的最短耗时累加
+ */
+function getMinSeconds(startStage, instanceID) {
+  const rules = config.rankRunRules;
+  let seconds = 0;
+  for (let stage = startStage + 1; stage <= instanceID; stage++) {
+    const stageRule = rules.stages[stage];
+    seconds += stageRule && stageRule.minSeconds !== undefined ? stageRule.minSeconds : rules.minSecondsPerStage;
+  }
+  return seconds;
+}
+
+/**
+ * 校验一次对局提交的成绩，通过返回 null，否则返回 { reason, detail }
+ */
+function checkRunSubmission(run, { instanceID, roleID }, now = new Date()) {
+  const elapsedSeconds = (now.getTime() - new Date(run.createdAt).getTime()) / 1000;
+
+  if (elapsedSeconds > config.rankRunRules.tokenTtlMinutes * 60) {
+    return { reason: 'token_expired', detail: { elapsedSeconds } };
+  }
+  if (roleID !== run.roleID) {
+    return { reason: 'role_mismatch', detail: { runRoleID: run.roleID, roleID } };
+  }
+
+  const maxInstanceID = run.startStage + getMaxAdvance(run.startStage);
+  if (instanceID > maxInstanceID) {
+    return { reason: 'progress_exceeded', detail: { startStage: run.startStage, maxInstanceID } };
+  }
+
+  const minSeconds = getMinSeconds(run.startStage, instanceID);
+  if (elapsedSeconds < minSeconds) {
+    return { reason: 'too_fast', detail: { startStage: run.startStage, elapsedSeconds, minSeconds } };
+  }
+
+  return null;
+}
+
+module.exports = {
+  checkRunSubmission
+};
@@ -0,0 +1,105 @@
+// 业务配置，统一从环境变量读取，未设置时使用默认值
+
+function readInt(name, defaultValue) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? defaultValue : value;
+}
+
+function readJSON(name, defaultValue) {
+  if (!process.env[name]) {
+    return defaultValue;
+  }
+  try {
+    return JSON.parse(process.env[name]);
+  } catch (error) {
+    console.error(`环境变量 ${name} 不是合法的 JSON，使用默认值`);
+    return defaultValue;
+  }
+}
+
+module.exports = {
+  // 本地开发模式（DEV_MODE=1）：允许通过 x-dev-openid 请求头或 DEV_MOCK_OPENID 模拟用户身份，只能与本地 SQLite 数据库同时开启
+  devMode: process.env.DEV_MODE === '1',
+  devMockOpenId: process.env.DEV_MOCK_OPENID || '',
+
+  // 运营接口鉴权令牌（请求头 x-admin-token），未配置时运营接口一律拒绝访问
+  adminToken: process.env.ADMIN_TOKEN || '',
+
+  // 游戏日划分：每日在 GAME_TIMEZONE（IANA 时区名）的 DAY_RESET_HOUR 点切换到新的一天
+  // 每日排行榜、每日邀请上限、每日结算等均按游戏日计算
+  gameTimezone: process.env.GAME_TIMEZONE || 'Asia/Shanghai',
+  dayResetHour: readInt('DAY_RESET_HOUR', 0),
+
+  // 每个玩家保留的最近存档快照数量
+  saveHistoryLimit: readInt('SAVE_HISTORY_LIMIT', 10),
+
+  // 单份存档 JSON 的最大字节数（GameSave.gameData 为 TEXT，上限 65535）
+  saveMaxBytes: readInt('SAVE_MAX_BYTES', 60 * 1024),
+
+  // 历史排行榜归档保留天数，超过后删除
+  rankArchiveRetentionDays: readInt('RANK_ARCHIVE_RETENTION_DAYS', 30),
+
+  // 赛季排行榜配置，日期为游戏日且首尾均包含在内
+  // 例：[{ "id": "S1", "startDate": "2026-10-01", "endDate": "2026-12-31" }]
+  rankSeasons: readJSON('RANK_SEASONS', []),
+
+  // 可上榜的角色 ID，开始对局和提交成绩时不在此列表中的 roleID 一律拒绝
+  rankRoleIDs: readJSON('RANK_ROLE_IDS', [1, 2, 3]),
+
+  // 每个分享者每天最多记录的邀请数
+  inviteDailyLimit: readInt('INVITE_DAILY_LIMIT', 20),
+
+  // 邀请异常检测规则（运营接口 /api/admin/share/flagged 使用）
+  // 在 lookbackDays 天内：burstWindowMinutes 分钟内邀请达到 burstCount 人视为刷量；
+  // 超过 staleHours 小时仍未创建存档的邀请达到 staleMinCount 条且占比不低于 staleRatio 视为无效拉新
+  inviteFraudRules: {
+    lookbackDays: 7,
+    burstCount: 5,
+    burstWindowMinutes: 10,
+    staleHours: 48,
+    staleMinCount: 3,
+    staleRatio: 0.5,
+    ...readJSON('INVITE_FRAUD_RULES', {})
+  },
+
+  // 邀请里程碑奖励：成功邀请人数达到 count 后可领取一次 reward，奖励格式见 rewards.js
+  inviteMilestones: readJSON('INVITE_MILESTONES', [
+    { count: 1, reward: { gold: 100 } },
+    { count: 3, reward: { gold: 300 } },
+    { count: 10, reward: { gold: 1000 } }
+  ]),
+
+  // 每日签到奖励：按连续签到天数依次发放（第1天取第1项），超过表长度后从头循环；断签后从第1天重新开始
+  checkInRewards: readJSON('CHECKIN_REWARDS', [
+    { gold: 50 },
+    { gold: 60 },
+    { gold: 70 },
+    { gold: 80 },
+    { gold: 100 },
+    { gold: 120 },
+    { gold: 200 }
+  ]),
+
+  // 运营发送的邮件默认有效天数
+  mailExpireDays: readInt('MAIL_EXPIRE_DAYS', 30),
+
+  // 每日排行榜结算奖励，按名次区间配置（首尾均包含），奖励格式见 rewards.js
+  rankRewardBrackets: readJSON('RANK_REWARD_BRACKETS', [
+    { fromRank: 1, toRank: 1, reward: { gold: 1000 } },
+    { fromRank: 2, toRank: 3, reward: { gold: 500 } },
+    { fromRank: 4, toRank: 10, reward: { gold: 200 } },
+    { fromRank: 11, toRank: 100, reward: { gold: 50 } }
+  ]),
+
+  // 成绩提交防作弊规则
+  // maxAdvance：单局最多推进的关卡数；minSecondsPerStage：每推进一关至少耗时（秒）
+  // tokenTtlMinutes：对局凭证有效期；stages：按关卡覆盖上述规则，
+  // 如 { "50": { "maxAdvance": 3, "minSeconds": 60 } } 表示从第50关开局最多推进3关、打通第50关至少60秒
+  rankRunRules: {
+    maxAdvance: 10,
+    minSecondsPerStage: 5,
+    tokenTtlMinutes: 120,
+    stages: {},
+    ...readJSON('RANK_RUN_RULES', {})
+  },
+};
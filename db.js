@@ -1,16 +1,35 @@
-const { Sequelize, DataTypes, Op } = require("sequelize");
+const crypto = require("crypto");
+const { Sequelize, DataTypes, Op, QueryTypes } = require("sequelize");
+const { Umzug, SequelizeStorage } = require("umzug");
+const config = require("./config");
+const { createDefaultGameData } = require("./saveSchema");
+const { normalizeReward, applyRewardToGameData } = require("./rewards");
+const { shiftDateString, getGameDateString, getGameDayStart } = require("./gameDay");
 
 // 从环境变量中读取数据库配置
-const { MYSQL_USERNAME, MYSQL_PASSWORD, MYSQL_ADDRESS = "" } = process.env;
+// DB_DIALECT=sqlite 时使用 SQLite（本地开发），SQLITE_STORAGE 为数据库文件路径，默认内存数据库
+const {
+  MYSQL_USERNAME,
+  MYSQL_PASSWORD,
+  MYSQL_ADDRESS = "",
+  DB_DIALECT = "mysql",
+  SQLITE_STORAGE = ":memory:"
+} = process.env;
 
 const [host, port] = MYSQL_ADDRESS.split(":");
 
-const sequelize = new Sequelize("nodejs_demo", MYSQL_USERNAME, MYSQL_PASSWORD, {
-  host,
-  port,
-  dialect: "mysql",
-  logging: false,
-});
+const sequelize = DB_DIALECT === "sqlite"
+  ? new Sequelize({
+    dialect: "sqlite",
+    storage: SQLITE_STORAGE,
+    logging: false,
+  })
+  : new Sequelize("nodejs_demo", MYSQL_USERNAME, MYSQL_PASSWORD, {
+    host,
+    port,
+    dialect: "mysql",
+    logging: false,
+  });
 
 // 定义数据模型
 const Counter = sequelize.define("Counter", {
@@ -34,6 +53,53 @@ const GameSave = sequelize.define("GameSave", {
     allowNull: false,
     defaultValue: '{}',
   },
+  revision: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: '存档版本号，每次写入自增，用于乐观并发控制'
+  },
+});
+
+// ============ 存档历史快照模型 ============
+const GameSaveHistory = sequelize.define("GameSaveHistory", {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  openid: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+  },
+  revision: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  gameData: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+  },
+  size: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: '存档字节数'
+  },
+  source: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'client',
+    comment: '写入来源：client 客户端上传，patch 客户端局部更新，restore 运营回滚，server 服务器发放'
+  }
+}, {
+  updatedAt: false,
+  indexes: [
+    {
+      name: 'idx_openid_id',
+      fields: ['openid', 'id']
+    }
+  ],
+  comment: '存档历史，每个玩家只保留最近 N 份'
 });
 
 // ============ 分享邀请记录模型 ============
@@ -55,7 +121,8 @@ const ShareInvite = sequelize.define("ShareInvite", {
   status: {
     type: DataTypes.STRING,
     allowNull: false,
-    defaultValue: 'completed',
+    defaultValue: 'pending',
+    comment: 'pending 被邀请者尚未创建存档，completed 邀请成功，revoked 被运营撤销'
   },
   extraInfo: {
     type: DataTypes.TEXT,
@@ -72,7 +139,89 @@ const ShareInvite = sequelize.define("ShareInvite", {
   ]
 });
 
+// ============ 邀请审计日志模型 ============
+const ShareInviteAudit = sequelize.define("ShareInviteAudit", {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  action: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    comment: 'rate_limited 超出每日邀请上限被拒绝，revoke 运营撤销邀请'
+  },
+  inviterOpenId: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+  },
+  detail: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+  }
+}, {
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['inviterOpenId']
+    },
+    {
+      fields: ['createdAt']
+    }
+  ],
+  comment: '邀请风控与运营操作记录'
+});
+
+// ============ 分享码模型 ============
+// 分享链接只携带分享码，服务器据此确定分享者身份
+const ShareCode = sequelize.define("ShareCode", {
+  code: {
+    type: DataTypes.STRING(16),
+    primaryKey: true,
+  },
+  openid: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    unique: true,
+  }
+}, {
+  updatedAt: false
+});
+
+// ============ 邀请里程碑领取记录模型 ============
+const InviteMilestoneClaim = sequelize.define("InviteMilestoneClaim", {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  openid: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+  },
+  milestone: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: '里程碑要求的邀请人数'
+  },
+  reward: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+  }
+}, {
+  updatedAt: false,
+  indexes: [
+    {
+      name: 'idx_user_milestone',
+      fields: ['openid', 'milestone'],
+      unique: true
+    }
+  ],
+  comment: '邀请里程碑奖励领取记录，每个里程碑每人只能领取一次'
+});
+
 // ============ 每日排行榜模型 ============
+// 每个玩家每天每个角色一条最好成绩，角色榜按角色取；全服榜只取 isBest 标记的各玩家跨角色最好成绩
 const DailyRank = sequelize.define("DailyRank", {
   id: {
     type: DataTypes.INTEGER,
@@ -100,7 +249,13 @@ const DailyRank = sequelize.define("DailyRank", {
   recordDate: {
     type: DataTypes.STRING(10),
     allowNull: false,
-    comment: '北京日期 (YYYY-MM-DD)'
+    comment: '游戏日 (YYYY-MM-DD)'
+  },
+  isBest: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    comment: '是否为该玩家当日各角色中的最好成绩，全服榜只取此记录'
   }
   // 注意：不在这里定义 createdAt，让 Sequelize 自动管理
 }, {
@@ -110,130 +265,1884 @@ const DailyRank = sequelize.define("DailyRank", {
   
   indexes: [
     {
-      name: 'idx_date_score',
-      fields: ['recordDate', { name: 'instanceID', order: 'DESC' }]
+      name: 'idx_date_best_score',
+      fields: ['recordDate', 'isBest', { name: 'instanceID', order: 'DESC' }]
     },
     {
-      name: 'idx_user_date',
-      fields: ['openid', 'recordDate'],
+      name: 'idx_user_date_role',
+      fields: ['openid', 'recordDate', 'roleID'],
       unique: true
     },
     {
       name: 'idx_date_created',
       fields: ['recordDate', 'instanceID', 'createdAt']
+    },
+    {
+      name: 'idx_date_role_score',
+      fields: ['recordDate', 'roleID', { name: 'instanceID', order: 'DESC' }]
     }
   ],
-  comment: '每日排行榜，只保留前100名'
+  comment: '每日排行榜，保留当日全部成绩，往日排行榜归档后删除'
 });
 
-// 数据库初始化方法
-async function init() {
-  try {
-    await Counter.sync({ alter: true });
-    console.log('Counter 表同步成功');
-    
-    await GameSave.sync({ alter: true }); 
-    console.log('GameSave 表同步成功');
-
-    await ShareInvite.sync({ alter: true });
-    console.log('ShareInvite 表同步成功');
-
-    await DailyRank.sync({ alter: true });
-    console.log('DailyRank 表同步成功');
-    
-  } catch (error) {
-    console.error('数据库表同步失败:');
-    console.error('错误名称:', error.name);
-    console.error('错误信息:', error.message);
+// ============ 周榜/赛季榜模型 ============
+// 每个玩家在每个周期内只保留一条最好成绩
+const PeriodRank = sequelize.define("PeriodRank", {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  boardType: {
+    type: DataTypes.STRING(10),
+    allowNull: false,
+    comment: 'weekly 周榜，season 赛季榜'
+  },
+  periodKey: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    comment: '周榜为当周周一的游戏日，赛季榜为赛季 ID'
+  },
+  openid: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+  },
+  playerName: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+  },
+  roleID: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1,
+  },
+  instanceID: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+  },
+  achievedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    comment: '取得最好成绩的时间，同分时先达成者排前'
   }
-}
-
-// 记录一次成功分享邀请
-async function recordShareInvite(inviterOpenId, inviteeOpenId, extraInfo = null) {
-  try {
-    const invite = await ShareInvite.create({
-      inviterOpenId,
-      inviteeOpenId,
-      extraInfo: extraInfo ? JSON.stringify(extraInfo) : null
-    });
-    console.log(`分享记录创建成功，ID: ${invite.id}`);
-    return invite;
-  } catch (error) {
-    if (error.name === 'SequelizeUniqueConstraintError') {
-      console.warn(`用户 ${inviteeOpenId} 已被其他用户邀请过`);
-      return null;
+}, {
+  indexes: [
+    {
+      name: 'idx_period_user',
+      fields: ['boardType', 'periodKey', 'openid'],
+      unique: true
+    },
+    {
+      name: 'idx_period_score',
+      fields: ['boardType', 'periodKey', { name: 'instanceID', order: 'DESC' }, 'achievedAt']
     }
-    throw error;
-  }
-}
+  ],
+  comment: '周榜与赛季榜，记录周期内每个玩家的最好成绩'
+});
 
-// 查询某个分享者的成功邀请数量
-async function getInviteCount(inviterOpenId) {
-  return await ShareInvite.count({
-    where: {
-      inviterOpenId,
-      status: 'completed'
+// ============ 对局凭证模型 ============
+// 关卡开始时由服务器签发，提交成绩时必须携带，每个凭证只能提交一次
+const RunSession = sequelize.define("RunSession", {
+  token: {
+    type: DataTypes.STRING(64),
+    primaryKey: true,
+  },
+  openid: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+  },
+  roleID: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1,
+  },
+  startStage: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: '开局时服务器已知的玩家进度'
+  },
+  status: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'active',
+    comment: 'active 进行中，submitted 已提交，rejected 校验未通过'
+  },
+  submittedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  }
+}, {
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['openid']
+    },
+    {
+      fields: ['createdAt']
     }
-  });
-}
+  ]
+});
 
-/**
- * 修剪今日排行榜，只保留前100名
- */
-async function trimTodayRank(today) {
-  try {
-    // 先查询需要保留的记录
-    const recordsToKeep = await DailyRank.findAll({
-      where: { recordDate: today },
-      order: [
-        ['instanceID', 'DESC'],
-        ['createdAt', 'ASC']
-      ],
-      limit: 100
-    });
-    
-    if (recordsToKeep.length === 0) {
-      return 0;
-    }
-    
-    // 获取需要保留的记录ID
-    const idsToKeep = recordsToKeep.map(record => record.id);
-    
-    // 删除不在保留列表中的记录
-    const result = await DailyRank.destroy({
-      where: {
-        recordDate: today,
-        id: { [Op.notIn]: idsToKeep }
-      }
-    });
-    
-    console.log(`[${today}] 排行榜已修剪，保留了前100名，删除了 ${result} 条记录`);
-    return result;
-  } catch (error) {
-    console.error('修剪排行榜失败:', error);
-    return 0;
+// ============ 可疑成绩记录模型 ============
+const RankRejection = sequelize.define("RankRejection", {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  openid: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+  },
+  runToken: {
+    type: DataTypes.STRING(64),
+    allowNull: true,
+  },
+  instanceID: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  reason: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+  },
+  detail: {
+    type: DataTypes.TEXT,
+    allowNull: true,
   }
-}
+}, {
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['openid']
+    },
+    {
+      fields: ['createdAt']
+    }
+  ],
+  comment: '被拒绝的成绩提交，供人工复核'
+});
 
-/**
- * 获取北京时间日期字符串
- */
-function getBeijingDateString(date = new Date()) {
-  const beijingTime = new Date(date.getTime() + 8 * 60 * 60 * 1000);
-  return beijingTime.toISOString().split('T')[0];
+// ============ 排行榜结算奖励模型 ============
+const RankReward = sequelize.define("RankReward", {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  recordDate: {
+    type: DataTypes.STRING(10),
+    allowNull: false,
+    comment: '结算的排行榜日期 (YYYY-MM-DD)'
+  },
+  openid: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+  },
+  rank: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  reward: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+  },
+  status: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'pending',
+    comment: 'pending 待领取，claimed 已领取'
+  },
+  claimedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  }
+}, {
+  indexes: [
+    {
+      name: 'idx_date_user',
+      fields: ['recordDate', 'openid'],
+      unique: true
+    },
+    {
+      name: 'idx_user_status',
+      fields: ['openid', 'status']
+    }
+  ],
+  comment: '每日排行榜结算奖励，每人每天最多一条，保证不会重复发放'
+});
+
+// ============ 历史排行榜归档模型 ============
+const DailyRankArchive = sequelize.define("DailyRankArchive", {
+  recordDate: {
+    type: DataTypes.STRING(10),
+    primaryKey: true,
+    comment: '游戏日 (YYYY-MM-DD)'
+  },
+  totalPlayers: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+  },
+  topList: {
+    // 全服榜加上每个角色榜各100条，普通 TEXT（65535 字节）在角色较多时放不下
+    type: DataTypes.TEXT('medium'),
+    allowNull: false,
+    comment: '当日最终全服及各角色前100名（按名次排序），紧凑格式 [[openid, playerName, roleID, instanceID, isBest], ...]'
+  }
+}, {
+  updatedAt: false,
+  comment: '每日排行榜最终结果归档'
+});
+
+// ============ 钱包模型 ============
+// 金币以服务器钱包为准，存档中的 gold 只是副本，读写存档时以钱包余额覆盖
+const Wallet = sequelize.define("Wallet", {
+  openid: {
+    type: DataTypes.STRING(100),
+    primaryKey: true,
+  },
+  balance: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+  }
+}, {
+  comment: '玩家金币钱包'
+});
+
+// ============ 金币流水模型 ============
+const WalletTransaction = sequelize.define("WalletTransaction", {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  openid: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+  },
+  amount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: '变动金额，发放为正，消耗为负'
+  },
+  balanceAfter: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: '变动后余额'
+  },
+  reason: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    comment: 'init 钱包初始化，checkin 签到，invite_milestone 邀请里程碑，rank_reward 排行榜奖励，admin 运营调整，其余为客户端消耗原因'
+  },
+  idempotencyKey: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    comment: '幂等键，同一玩家相同幂等键的变动只执行一次'
+  },
+  detail: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+  }
+}, {
+  updatedAt: false,
+  indexes: [
+    {
+      name: 'idx_user_idempotency',
+      fields: ['openid', 'idempotencyKey'],
+      unique: true
+    },
+    {
+      name: 'idx_wallet_user_id',
+      fields: ['openid', 'id']
+    }
+  ],
+  comment: '金币流水，每次余额变动一条，只增不改'
+});
+
+// ============ 邮件模型 ============
+// openid 为空的邮件为全服广播，可通过 target 限定收件范围，收件范围在玩家读取邮箱时判断
+const Mail = sequelize.define("Mail", {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  openid: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    comment: '收件人，为空表示全服广播'
+  },
+  title: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+  },
+  content: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+  },
+  attachments: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: '附件奖励，格式见 rewards.js，为空表示没有附件'
+  },
+  target: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: '广播收件范围 { roleIDs, registeredFrom, registeredTo }，为空表示全部玩家'
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: '过期时间，过期后不再展示也不能领取附件'
+  }
+}, {
+  updatedAt: false,
+  indexes: [
+    {
+      name: 'mails_openid',
+      fields: ['openid']
+    },
+    {
+      name: 'mails_created_at',
+      fields: ['createdAt']
+    }
+  ],
+  comment: '玩家邮件与全服广播邮件'
+});
+
+// ============ 邮件状态模型 ============
+// 每个玩家对每封邮件的已读、领取、删除状态，首次操作时创建
+const MailState = sequelize.define("MailState", {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  mailId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  openid: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+  },
+  readAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  claimedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: '附件领取时间，每封邮件的附件每人只能领取一次'
+  },
+  deletedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  }
+}, {
+  indexes: [
+    {
+      name: 'idx_mail_user',
+      fields: ['mailId', 'openid'],
+      unique: true
+    },
+    {
+      name: 'mail_states_openid',
+      fields: ['openid']
+    }
+  ],
+  comment: '玩家邮件的已读、领取与删除状态'
+});
+
+// ============ 兑换码模型 ============
+// 每个玩家对同一兑换码只能兑换一次，maxRedemptions 限制全服总兑换次数，单次码即 maxRedemptions 为 1
+const GiftCode = sequelize.define("GiftCode", {
+  code: {
+    type: DataTypes.STRING(32),
+    primaryKey: true,
+    allowNull: false,
+    comment: '兑换码，统一为大写'
+  },
+  batch: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    comment: '批次名称，同一次批量生成的兑换码相同，便于运营查询'
+  },
+  reward: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    comment: '兑换奖励，格式见 rewards.js'
+  },
+  maxRedemptions: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: '全服总兑换次数上限，为空表示不限'
+  },
+  redeemedCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  startDate: {
+    type: DataTypes.STRING(10),
+    allowNull: true,
+    comment: '生效的首个游戏日 (YYYY-MM-DD)，为空表示立即生效'
+  },
+  endDate: {
+    type: DataTypes.STRING(10),
+    allowNull: true,
+    comment: '有效的最后一个游戏日 (YYYY-MM-DD)，为空表示长期有效'
+  }
+}, {
+  indexes: [
+    {
+      name: 'gift_codes_batch',
+      fields: ['batch']
+    }
+  ],
+  comment: '运营创建的兑换码'
+});
+
+// ============ 兑换码兑换记录模型 ============
+const GiftCodeRedemption = sequelize.define("GiftCodeRedemption", {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  code: {
+    type: DataTypes.STRING(32),
+    allowNull: false,
+  },
+  openid: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+  }
+}, {
+  updatedAt: false,
+  indexes: [
+    {
+      name: 'idx_code_user',
+      fields: ['code', 'openid'],
+      unique: true
+    },
+    {
+      name: 'gift_code_redemptions_openid',
+      fields: ['openid']
+    }
+  ],
+  comment: '兑换码兑换记录，每个兑换码每人只能兑换一次'
+});
+
+// ============ 远程配置模型 ============
+// 客户端可调的数值与开关（如关卡难度、活动开关），每次修改版本号加一，运营修改时据此避免覆盖他人的改动
+const ConfigEntry = sequelize.define("ConfigEntry", {
+  key: {
+    type: DataTypes.STRING(100),
+    primaryKey: true,
+    allowNull: false,
+  },
+  value: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    comment: '配置值（JSON）'
+  },
+  version: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1,
+    comment: '配置版本号，每次修改自增'
+  }
+}, {
+  comment: '下发给客户端的远程配置'
+});
+
+// ============ 公告模型 ============
+const Announcement = sequelize.define("Announcement", {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  title: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+  },
+  content: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+  },
+  priority: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: '展示优先级，越大越靠前'
+  },
+  startAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    comment: '开始展示的时间'
+  },
+  endAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: '结束展示的时间，为空表示一直展示'
+  }
+}, {
+  indexes: [
+    {
+      name: 'announcements_start_at',
+      fields: ['startAt']
+    }
+  ],
+  comment: '游戏公告，在开始与结束时间之间下发给客户端'
+});
+
+// ============ 每日签到记录模型 ============
+const CheckIn = sequelize.define("CheckIn", {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  openid: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+  },
+  checkInDate: {
+    type: DataTypes.STRING(10),
+    allowNull: false,
+    comment: '签到的游戏日 (YYYY-MM-DD)'
+  },
+  streak: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: '截至本次签到的连续签到天数'
+  },
+  reward: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+  }
+}, {
+  updatedAt: false,
+  indexes: [
+    {
+      name: 'idx_user_checkin_date',
+      fields: ['openid', 'checkInDate'],
+      unique: true
+    }
+  ],
+  comment: '每日签到记录，每人每个游戏日只能签到一次'
+});
+
+// ============ 定时任务状态模型 ============
+// 多实例部署时通过租约保证同一任务同一周期只在一个实例上执行
+const ScheduledJob = sequelize.define("ScheduledJob", {
+  name: {
+    type: DataTypes.STRING(50),
+    primaryKey: true,
+  },
+  lockedBy: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    comment: '持有租约的实例标识'
+  },
+  lockedUntil: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: '租约到期时间，过期后其他实例可接手'
+  },
+  lastRunKey: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    comment: '最近一次成功执行的周期，如每日任务为日期'
+  },
+  lastRunAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  lastStatus: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    comment: 'success 成功，failed 失败'
+  },
+  lastError: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+  }
+}, {
+  createdAt: false,
+  comment: '定时任务租约与最近执行结果'
+});
+
+// ============ 数据库迁移 ============
+// 表结构变更一律通过 migrations/ 下的迁移文件完成，按文件名顺序执行，已执行的记录在 SequelizeMeta 表
+// 修改模型定义时须同时新增迁移文件，不再使用 sync 自动改表
+const migrator = new Umzug({
+  migrations: {
+    glob: ["migrations/*.js", { cwd: __dirname }],
+  },
+  context: sequelize.getQueryInterface(),
+  storage: new SequelizeStorage({ sequelize }),
+  logger: {
+    info: ({ event, name }) => {
+      if (event === "migrated" || event === "reverted") {
+        console.log(`数据库迁移 ${name} ${event === "migrated" ? "已执行" : "已回滚"}`);
+      }
+    },
+    warn: (message) => console.warn(message),
+    error: (message) => console.error(message),
+    debug: () => {},
+  },
+});
+
+/**
+ * 持有迁移锁执行 fn，多个实例同时启动时依次执行迁移，后获得锁的实例不会重复执行已完成的迁移
+ * MySQL 命名锁属于连接，在同一个事务中加锁和释放以保证使用同一连接；SQLite 只用于本地单实例，不加锁
+ */
+async function withMigrationLock(fn) {
+  if (DB_DIALECT === "sqlite") {
+    return fn();
+  }
+
+  return sequelize.transaction(async (transaction) => {
+    const [{ acquired }] = await sequelize.query("SELECT GET_LOCK('schema_migrations', 600) AS acquired", {
+      type: QueryTypes.SELECT,
+      transaction
+    });
+    if (acquired !== 1) {
+      throw new Error('等待数据库迁移锁超时');
+    }
+
+    try {
+      return await fn();
+    } finally {
+      await sequelize.query("SELECT RELEASE_LOCK('schema_migrations')", { transaction });
+    }
+  });
+}
+
+// 数据库初始化方法：执行全部未执行的迁移，失败时抛出异常，由调用方中止启动
+async function init() {
+  const executed = await withMigrationLock(() => migrator.up());
+  console.log(executed.length > 0 ? `执行了 ${executed.length} 个数据库迁移` : '数据库结构已是最新');
+}
+
+/**
+ * 写入玩家存档（乐观并发控制），成功后记录一份历史快照
+ * expectedRevision 为客户端存档所基于的版本号，为 null 时不校验（兼容旧客户端）
+ * 版本不一致或写入时被其他请求抢先，返回 { conflict: true, record: 服务器当前存档 }
+ */
+async function writeGameSave(openid, gameData, expectedRevision = null, source = 'client') {
+  const data = JSON.stringify(gameData);
+
+  return await sequelize.transaction(async (transaction) => {
+    const current = await GameSave.findByPk(openid, { transaction });
+    let record;
+    let created = false;
+
+    if (!current) {
+      try {
+        record = await GameSave.create({ openid, gameData: data, revision: 1 }, { transaction });
+        created = true;
+        await completeShareInvite(openid, transaction);
+      } catch (error) {
+        if (error.name === 'SequelizeUniqueConstraintError') {
+          // 并发创建，另一请求已先写入
+          return { conflict: true, record: await GameSave.findByPk(openid) };
+        }
+        throw error;
+      }
+    } else {
+      if (expectedRevision !== null && expectedRevision !== current.revision) {
+        return { conflict: true, record: current };
+      }
+
+      // 以读取到的版本号为条件更新，保证读-写之间没有其他写入
+      const [affected] = await GameSave.update(
+        { gameData: data, revision: current.revision + 1 },
+        { where: { openid, revision: current.revision }, transaction }
+      );
+      if (affected === 0) {
+        return { conflict: true, record: await GameSave.findByPk(openid, { transaction }) };
+      }
+      record = await GameSave.findByPk(openid, { transaction });
+    }
+
+    await recordSaveSnapshot(record, source, transaction);
+    return { conflict: false, created, record };
+  });
+}
+
+/**
+ * 在服务器端修改玩家存档：读取当前存档交给 updater 生成新存档后写回
+ * 写入时被其他请求抢先会重新读取并重试；指定 expectedRevision 时不重试，直接返回冲突
+ * 玩家尚无存档时以默认存档为基础
+ */
+async function updateGameSave(openid, updater, { expectedRevision = null, source = 'server' } = {}) {
+  let result;
+
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const current = await GameSave.findByPk(openid);
+    const revision = current ? current.revision : 0;
+
+    if (expectedRevision !== null && expectedRevision !== revision) {
+      return { conflict: true, record: current };
+    }
+
+    const gameData = updater(current ? JSON.parse(current.gameData) : createDefaultGameData());
+    result = await writeGameSave(openid, gameData, revision, source);
+
+    if (!result.conflict || expectedRevision !== null) {
+      return result;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * 发放奖励：金币记入钱包，道具写入存档
+ * idempotencyKey 用于金币流水去重，领取失败回滚后重试时不会重复入账
+ */
+async function grantReward(openid, reward, { reason = 'reward', idempotencyKey = null } = {}) {
+  const normalized = normalizeReward(reward);
+
+  if (normalized.gold) {
+    const result = await changeWalletBalance(openid, normalized.gold, { reason, idempotencyKey });
+    if (result.duplicate && result.record.amount !== normalized.gold) {
+      // 幂等键已被其他变动占用，说明幂等键的生成规则有误，需人工核对
+      console.warn(`用户 ${openid} 的奖励幂等键 ${idempotencyKey} 已被金额 ${result.record.amount} 的变动使用，本次 ${normalized.gold} 金币未入账`);
+    }
+  }
+
+  if (normalized.items) {
+    const result = await updateGameSave(openid, gameData =>
+      applyRewardToGameData(gameData, { items: normalized.items })
+    );
+    if (result.conflict) {
+      throw new Error(`发放奖励时存档写入冲突: ${openid}`);
+    }
+  }
+}
+
+/**
+ * 获取玩家钱包，不存在时创建
+ * 引入钱包前的老玩家以存档中的金币为初始余额，新玩家为默认存档的金币数
+ */
+async function getOrCreateWallet(openid) {
+  const wallet = await Wallet.findByPk(openid);
+  if (wallet) {
+    return wallet;
+  }
+
+  const save = await GameSave.findByPk(openid, { attributes: ['gameData'] });
+  const gameData = save ? JSON.parse(save.gameData) : createDefaultGameData();
+  const balance = Number.isInteger(gameData.gold) && gameData.gold > 0 ? gameData.gold : 0;
+
+  try {
+    return await sequelize.transaction(async (transaction) => {
+      const created = await Wallet.create({ openid, balance }, { transaction });
+      await WalletTransaction.create({
+        openid,
+        amount: balance,
+        balanceAfter: balance,
+        reason: 'init',
+        idempotencyKey: 'init'
+      }, { transaction });
+      return created;
+    });
+  } catch (error) {
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      // 并发创建，另一请求已先写入
+      return await Wallet.findByPk(openid);
+    }
+    throw error;
+  }
+}
+
+/**
+ * 变动钱包余额并记录流水，amount 为正表示发放、为负表示消耗
+ * 返回 { duplicate, insufficient, record, balance }：
+ * 幂等键已使用过时 duplicate 为 true，record 为原流水；余额不足时 insufficient 为 true，不做变动
+ */
+async function changeWalletBalance(openid, amount, { reason, idempotencyKey = null, detail = null }) {
+  await getOrCreateWallet(openid);
+
+  const findDuplicate = (transaction = null) => idempotencyKey
+    ? WalletTransaction.findOne({ where: { openid, idempotencyKey }, transaction })
+    : null;
+
+  try {
+    return await sequelize.transaction(async (transaction) => {
+      const existing = await findDuplicate(transaction);
+      if (existing) {
+        return { duplicate: true, insufficient: false, record: existing, balance: null };
+      }
+
+      // 消耗时以余额充足为条件更新，避免并发消耗导致余额为负
+      const [affected] = await Wallet.update(
+        { balance: sequelize.literal(`balance + ${amount}`) },
+        {
+          where: amount < 0 ? { openid, balance: { [Op.gte]: -amount } } : { openid },
+          transaction
+        }
+      );
+      const wallet = await Wallet.findByPk(openid, { transaction });
+      if (affected === 0) {
+        return { duplicate: false, insufficient: true, record: null, balance: wallet.balance };
+      }
+
+      const record = await WalletTransaction.create({
+        openid,
+        amount,
+        balanceAfter: wallet.balance,
+        reason,
+        idempotencyKey,
+        detail: detail ? JSON.stringify(detail) : null
+      }, { transaction });
+      return { duplicate: false, insufficient: false, record, balance: wallet.balance };
+    });
+  } catch (error) {
+    if (error.name === 'SequelizeUniqueConstraintError' && idempotencyKey) {
+      // 并发请求使用了相同的幂等键，另一请求已先完成
+      return { duplicate: true, insufficient: false, record: await findDuplicate(), balance: null };
+    }
+    throw error;
+  }
+}
+
+/**
+ * 记录存档快照，并删除超出保留数量的旧快照
+ */
+async function recordSaveSnapshot(record, source, transaction) {
+  await GameSaveHistory.create({
+    openid: record.openid,
+    revision: record.revision,
+    gameData: record.gameData,
+    size: Buffer.byteLength(record.gameData),
+    source
+  }, { transaction });
+
+  const recordsToKeep = await GameSaveHistory.findAll({
+    where: { openid: record.openid },
+    attributes: ['id'],
+    order: [['id', 'DESC']],
+    limit: config.saveHistoryLimit,
+    transaction
+  });
+
+  if (recordsToKeep.length < config.saveHistoryLimit) {
+    return;
+  }
+
+  await GameSaveHistory.destroy({
+    where: {
+      openid: record.openid,
+      id: { [Op.lt]: recordsToKeep[recordsToKeep.length - 1].id }
+    },
+    transaction
+  });
+}
+
+/**
+ * 将指定历史快照恢复为玩家当前存档（版本号继续自增，旧版本客户端会收到冲突提示）
+ * 快照不存在或不属于该玩家时返回 null，否则返回 writeGameSave 的结果
+ */
+async function restoreGameSave(openid, historyId) {
+  const snapshot = await GameSaveHistory.findOne({
+    where: { id: historyId, openid }
+  });
+
+  if (!snapshot) {
+    return null;
+  }
+
+  return await writeGameSave(openid, JSON.parse(snapshot.gameData), null, 'restore');
+}
+
+/**
+ * 获取玩家的分享码，没有时生成一个
+ */
+async function getOrCreateShareCode(openid) {
+  const existing = await ShareCode.findOne({ where: { openid } });
+  if (existing) {
+    return existing.code;
+  }
+
+  for (let attempt = 0; attempt < 3; attempt++) {
+    try {
+      const shareCode = await ShareCode.create({
+        code: crypto.randomBytes(5).toString('hex').toUpperCase(),
+        openid
+      });
+      return shareCode.code;
+    } catch (error) {
+      if (error.name !== 'SequelizeUniqueConstraintError') {
+        throw error;
+      }
+      // 并发请求已为该玩家生成分享码，或分享码碰撞，重新查询后重试
+      const created = await ShareCode.findOne({ where: { openid } });
+      if (created) {
+        return created.code;
+      }
+    }
+  }
+  throw new Error(`生成分享码失败: ${openid}`);
+}
+
+/**
+ * 根据分享码查询分享者 openid，分享码不存在时返回 null
+ */
+async function resolveShareCode(code) {
+  const shareCode = await ShareCode.findByPk(code);
+  return shareCode ? shareCode.openid : null;
+}
+
+/**
+ * 被邀请者创建存档时，将其待完成的邀请标记为成功
+ */
+async function completeShareInvite(inviteeOpenId, transaction) {
+  const [affected] = await ShareInvite.update(
+    { status: 'completed' },
+    { where: { inviteeOpenId, status: 'pending' }, transaction }
+  );
+  if (affected > 0) {
+    console.log(`用户 ${inviteeOpenId} 已创建存档，邀请记录标记为成功`);
+  }
+}
+
+// 记录一次分享邀请，被邀请者创建存档后才计为成功
+async function recordShareInvite(inviterOpenId, inviteeOpenId, extraInfo = null) {
+  try {
+    const invite = await ShareInvite.create({
+      inviterOpenId,
+      inviteeOpenId,
+      status: 'pending',
+      extraInfo: extraInfo ? JSON.stringify(extraInfo) : null
+    });
+    console.log(`分享记录创建成功，ID: ${invite.id}`);
+    return invite;
+  } catch (error) {
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      console.warn(`用户 ${inviteeOpenId} 已被其他用户邀请过`);
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * 写入一条邀请审计日志
+ */
+async function logShareInviteAudit(action, inviterOpenId, detail = null) {
+  return await ShareInviteAudit.create({
+    action,
+    inviterOpenId,
+    detail: detail ? JSON.stringify(detail) : null
+  });
+}
+
+/**
+ * 查询分享者今日（游戏日）已记录的邀请数，包括尚未完成的邀请
+ */
+async function getTodayInviteCount(inviterOpenId) {
+  return await ShareInvite.count({
+    where: {
+      inviterOpenId,
+      createdAt: { [Op.gte]: getGameDayStart(getGameDateString()) }
+    }
+  });
+}
+
+/**
+ * 按 inviteFraudRules 检测可疑分享者，返回每个分享者命中的规则与统计数据
+ */
+async function findSuspiciousInviters() {
+  const rules = config.inviteFraudRules;
+  const now = Date.now();
+  const since = new Date(now - rules.lookbackDays * 24 * 60 * 60 * 1000);
+
+  const invites = await ShareInvite.findAll({
+    where: { createdAt: { [Op.gte]: since } },
+    attributes: ['inviterOpenId', 'status', 'createdAt'],
+    order: [['createdAt', 'ASC']],
+    raw: true
+  });
+  const rateLimited = await ShareInviteAudit.findAll({
+    where: { action: 'rate_limited', createdAt: { [Op.gte]: since } },
+    attributes: ['inviterOpenId', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+    group: ['inviterOpenId'],
+    raw: true
+  });
+
+  const stats = new Map();
+  const getStats = (inviterOpenId) => {
+    if (!stats.has(inviterOpenId)) {
+      stats.set(inviterOpenId, { inviterOpenId, totalInvites: 0, staleInvites: 0, maxBurst: 0, rateLimited: 0, times: [] });
+    }
+    return stats.get(inviterOpenId);
+  };
+
+  const staleBefore = now - rules.staleHours * 60 * 60 * 1000;
+  for (const invite of invites) {
+    const item = getStats(invite.inviterOpenId);
+    const createdAt = new Date(invite.createdAt).getTime();
+    item.totalInvites++;
+    if (invite.status === 'pending' && createdAt < staleBefore) {
+      item.staleInvites++;
+    }
+
+    // 滑动窗口统计最短时间内的邀请数
+    item.times.push(createdAt);
+    while (item.times[0] < createdAt - rules.burstWindowMinutes * 60 * 1000) {
+      item.times.shift();
+    }
+    item.maxBurst = Math.max(item.maxBurst, item.times.length);
+  }
+  for (const { inviterOpenId, count } of rateLimited) {
+    getStats(inviterOpenId).rateLimited = Number(count);
+  }
+
+  const flagged = [];
+  for (const { times, ...item } of stats.values()) {
+    const reasons = [];
+    if (item.maxBurst >= rules.burstCount) {
+      reasons.push('burst');
+    }
+    if (item.staleInvites >= rules.staleMinCount && item.staleInvites / item.totalInvites >= rules.staleRatio) {
+      reasons.push('never_play');
+    }
+    if (item.rateLimited > 0) {
+      reasons.push('rate_limited');
+    }
+    if (reasons.length > 0) {
+      flagged.push({ ...item, reasons });
+    }
+  }
+  return flagged;
+}
+
+/**
+ * 撤销邀请：将指定邀请或某个分享者的全部邀请标记为 revoked，并记录审计日志
+ * 返回撤销的邀请数量
+ */
+async function revokeShareInvites({ inviteIds = null, inviterOpenId = null, reason = null }) {
+  const where = { status: { [Op.ne]: 'revoked' } };
+  if (inviteIds) {
+    where.id = { [Op.in]: inviteIds };
+  }
+  if (inviterOpenId) {
+    where.inviterOpenId = inviterOpenId;
+  }
+
+  return await sequelize.transaction(async (transaction) => {
+    const invites = await ShareInvite.findAll({ where, attributes: ['id', 'inviterOpenId'], transaction });
+    if (invites.length === 0) {
+      return 0;
+    }
+
+    await ShareInvite.update(
+      { status: 'revoked' },
+      { where: { id: { [Op.in]: invites.map(invite => invite.id) } }, transaction }
+    );
+
+    // 按分享者分别记录，便于按分享者查询审计日志
+    const byInviter = new Map();
+    for (const invite of invites) {
+      byInviter.set(invite.inviterOpenId, [...(byInviter.get(invite.inviterOpenId) || []), invite.id]);
+    }
+    for (const [inviter, ids] of byInviter) {
+      await ShareInviteAudit.create({
+        action: 'revoke',
+        inviterOpenId: inviter,
+        detail: JSON.stringify({ inviteIds: ids, reason })
+      }, { transaction });
+    }
+
+    console.log(`运营撤销了 ${invites.length} 条邀请记录，原因: ${reason || '未填写'}`);
+    return invites.length;
+  });
+}
+
+// 查询某个分享者的成功邀请数量
+async function getInviteCount(inviterOpenId) {
+  return await ShareInvite.count({
+    where: {
+      inviterOpenId,
+      status: 'completed'
+    }
+  });
+}
+
+/**
+ * 签发对局凭证，开局进度取服务器校验通过的最好成绩：今日排行榜与历次周榜、赛季榜成绩的最大值
+ * 存档由客户端任意写入，不能作为开局进度的依据
+ */
+async function createRunSession(openid, roleID, today) {
+  const [todayBest, periodBest] = await Promise.all([
+    DailyRank.max('instanceID', { where: { openid, recordDate: today } }),
+    PeriodRank.max('instanceID', { where: { openid } })
+  ]);
+  const startStage = Math.max(todayBest || 0, periodBest || 0);
+
+  return await RunSession.create({
+    token: crypto.randomBytes(24).toString('hex'),
+    openid,
+    roleID,
+    startStage
+  });
+}
+
+/**
+ * 使用对局凭证：仅当凭证属于该玩家且未使用时成功，返回凭证记录，否则返回 null
+ * 以状态为条件更新，保证同一凭证并发提交时只有一次成功
+ */
+async function consumeRunSession(token, openid) {
+  const [affected] = await RunSession.update(
+    { status: 'submitted', submittedAt: new Date() },
+    { where: { token, openid, status: 'active' } }
+  );
+  return affected > 0 ? await RunSession.findByPk(token) : null;
+}
+
+/**
+ * 记录一次被拒绝的成绩提交
+ */
+async function logRankRejection({ openid, runToken = null, instanceID = null, reason, detail = null }) {
+  console.warn(`拒绝用户 ${openid} 的成绩提交: ${reason}`, detail || '');
+  return await RankRejection.create({
+    openid,
+    runToken,
+    instanceID,
+    reason,
+    detail: detail ? JSON.stringify(detail) : null
+  });
+}
+
+/**
+ * 领取邀请里程碑奖励：先写入领取记录（唯一索引保证只领一次），再发放到存档，发放失败时删除领取记录
+ * 已领取过时返回 null
+ */
+async function claimInviteMilestone(openid, milestone, reward) {
+  let claim;
+  try {
+    claim = await InviteMilestoneClaim.create({
+      openid,
+      milestone,
+      reward: JSON.stringify(normalizeReward(reward))
+    });
+  } catch (error) {
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      return null;
+    }
+    throw error;
+  }
+
+  try {
+    await grantReward(openid, reward, {
+      reason: 'invite_milestone',
+      idempotencyKey: `invite_milestone:${milestone}`
+    });
+  } catch (error) {
+    await claim.destroy();
+    throw error;
+  }
+  return claim;
+}
+
+/**
+ * 查询玩家的邀请关系好友：邀请了该玩家的人，以及该玩家成功邀请的人
+ */
+async function getInviteFriendIds(openid) {
+  const invites = await ShareInvite.findAll({
+    where: {
+      status: 'completed',
+      [Op.or]: [
+        { inviterOpenId: openid },
+        { inviteeOpenId: openid }
+      ]
+    },
+    attributes: ['inviterOpenId', 'inviteeOpenId']
+  });
+
+  return invites.map(invite =>
+    invite.inviterOpenId === openid ? invite.inviteeOpenId : invite.inviterOpenId
+  );
+}
+
+/**
+ * 每日排行榜的查询条件：roleID 为 null 时为全服榜（每个玩家取跨角色的最好成绩），否则为该角色榜
+ */
+function getRankBoardWhere(recordDate, roleID = null) {
+  return roleID === null ? { recordDate, isBest: true } : { recordDate, roleID };
+}
+
+/**
+ * 记录玩家今日某个角色的成绩，只在超过该角色今日最好成绩时更新
+ * 返回 { record, isNew, isUpdated }，record 为该角色的今日记录
+ */
+async function recordDailyBest(openid, today, { playerName, roleID, instanceID }) {
+  const where = { openid, recordDate: today, roleID };
+  const [record, created] = await DailyRank.findOrCreate({
+    where,
+    defaults: { playerName, instanceID }
+  });
+
+  if (!created) {
+    // 以分数为条件更新，避免并发提交时较低的成绩覆盖较高的成绩
+    const [affected] = await DailyRank.update({ playerName, instanceID }, {
+      where: { ...where, instanceID: { [Op.lt]: instanceID } }
+    });
+    if (affected === 0) {
+      return { record, isNew: false, isUpdated: false };
+    }
+    await record.reload();
+  }
+
+  await refreshDailyBest(openid, today);
+  return { record, isNew: created, isUpdated: true };
+}
+
+/**
+ * 重新标记玩家今日的跨角色最好成绩，同分时保留先取得的记录
+ */
+async function refreshDailyBest(openid, today) {
+  await sequelize.transaction(async (transaction) => {
+    // 锁住玩家今日的全部记录，同一玩家不同角色的并发提交依次重新标记，避免出现多条或没有最好成绩
+    const records = await DailyRank.findAll({
+      where: { openid, recordDate: today },
+      order: [
+        ['instanceID', 'DESC'],
+        ['createdAt', 'ASC'],
+        ['id', 'ASC']
+      ],
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+    const best = records[0];
+    await DailyRank.update({ isBest: false }, {
+      where: { openid, recordDate: today, isBest: true, id: { [Op.ne]: best.id } },
+      transaction
+    });
+    if (!best.isBest) {
+      await best.update({ isBest: true }, { transaction });
+    }
+  });
+}
+
+/**
+ * 获取排行榜需要归档的记录ID：全服前100名，以及每个角色各自的前100名
+ */
+async function getTopRankIds(recordDate) {
+  const order = [
+    ['instanceID', 'DESC'],
+    ['createdAt', 'ASC'],
+    ['id', 'ASC']
+  ];
+
+  const roles = await DailyRank.findAll({
+    attributes: ['roleID'],
+    where: { recordDate },
+    group: ['roleID'],
+    raw: true
+  });
+
+  const ids = new Set();
+  for (const roleID of [null, ...roles.map(item => item.roleID)]) {
+    const records = await DailyRank.findAll({
+      attributes: ['id'],
+      where: getRankBoardWhere(recordDate, roleID),
+      order,
+      limit: 100,
+      raw: true
+    });
+    records.forEach(record => ids.add(record.id));
+  }
+  return [...ids];
+}
+
+/**
+ * 结算指定日期的排行榜：按最终名次生成待领取奖励
+ * 按全服榜名次发放，每人每天一条奖励记录（唯一索引），重复结算不会重复发放
+ */
+async function settleDailyRank(recordDate) {
+  const brackets = config.rankRewardBrackets;
+  const maxRank = Math.max(0, ...brackets.map(bracket => bracket.toRank));
+  if (maxRank === 0) {
+    return 0;
+  }
+
+  const records = await DailyRank.findAll({
+    where: getRankBoardWhere(recordDate),
+    order: [
+      ['instanceID', 'DESC'],
+      ['createdAt', 'ASC'],
+      ['id', 'ASC']
+    ],
+    limit: maxRank
+  });
+
+  const rewards = [];
+  records.forEach((record, index) => {
+    const rank = index + 1;
+    const bracket = brackets.find(item => item.fromRank <= rank && rank <= item.toRank);
+    if (bracket) {
+      rewards.push({
+        recordDate,
+        openid: record.openid,
+        rank,
+        reward: JSON.stringify(normalizeReward(bracket.reward))
+      });
+    }
+  });
+
+  if (rewards.length > 0) {
+    await RankReward.bulkCreate(rewards, { ignoreDuplicates: true });
+  }
+  console.log(`[${recordDate}] 排行榜结算完成，共 ${rewards.length} 名玩家获得奖励`);
+  return rewards.length;
+}
+
+/**
+ * 获取玩家最近一次签到记录，从未签到时返回 null
+ */
+async function getLastCheckIn(openid) {
+  return await CheckIn.findOne({
+    where: { openid },
+    order: [['checkInDate', 'DESC']]
+  });
+}
+
+/**
+ * 计算玩家在 today 签到时的连续天数：昨天签到过则累加，否则（断签或首次签到）从1开始
+ */
+function getNextCheckInStreak(lastCheckIn, today) {
+  return lastCheckIn && lastCheckIn.checkInDate === shiftDateString(today, -1)
+    ? lastCheckIn.streak + 1
+    : 1;
+}
+
+/**
+ * 按连续签到天数取签到奖励，超过奖励表长度后循环
+ */
+function getCheckInReward(streak) {
+  const rewards = config.checkInRewards;
+  return rewards.length > 0 ? normalizeReward(rewards[(streak - 1) % rewards.length]) : {};
+}
+
+/**
+ * 签到并发放奖励，今日已签到时返回 null；发放失败时删除签到记录，可重新签到
+ */
+async function checkIn(openid, today) {
+  const lastCheckIn = await getLastCheckIn(openid);
+  if (lastCheckIn && lastCheckIn.checkInDate === today) {
+    return null;
+  }
+
+  const streak = getNextCheckInStreak(lastCheckIn, today);
+  const reward = getCheckInReward(streak);
+
+  let record;
+  try {
+    record = await CheckIn.create({
+      openid,
+      checkInDate: today,
+      streak,
+      reward: JSON.stringify(reward)
+    });
+  } catch (error) {
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      // 并发签到，另一请求已先写入
+      return null;
+    }
+    throw error;
+  }
+
+  try {
+    await grantReward(openid, reward, {
+      reason: 'checkin',
+      idempotencyKey: `checkin:${today}`
+    });
+  } catch (error) {
+    await record.destroy();
+    throw error;
+  }
+  return record;
+}
+
+/**
+ * 获取用于判断广播收件范围的玩家信息：服务器记录的成绩（今日排行榜与周榜、赛季榜）中用过的角色，
+ * 以及注册（首次存档）的游戏日；存档由客户端任意写入，不作为角色依据
+ */
+async function getMailProfile(openid) {
+  const [save, dailyRoles, periodRoles] = await Promise.all([
+    GameSave.findByPk(openid, { attributes: ['createdAt'] }),
+    DailyRank.findAll({ attributes: ['roleID'], where: { openid }, group: ['roleID'], raw: true }),
+    PeriodRank.findAll({ attributes: ['roleID'], where: { openid }, group: ['roleID'], raw: true })
+  ]);
+  return {
+    roleIDs: [...new Set([...dailyRoles, ...periodRoles].map(item => item.roleID))],
+    registeredDate: save ? getGameDateString(save.createdAt) : null
+  };
+}
+
+/**
+ * 判断玩家是否在广播邮件的收件范围内，registeredFrom / registeredTo 为注册游戏日（首尾均包含）
+ */
+function matchesMailTarget(target, profile) {
+  if (!target) {
+    return true;
+  }
+  if (target.roleIDs && !target.roleIDs.some(roleID => profile.roleIDs.includes(roleID))) {
+    return false;
+  }
+  if ((target.registeredFrom || target.registeredTo) && !profile.registeredDate) {
+    return false;
+  }
+  if (target.registeredFrom && profile.registeredDate < target.registeredFrom) {
+    return false;
+  }
+  if (target.registeredTo && profile.registeredDate > target.registeredTo) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * 查询玩家邮箱：发给该玩家的邮件及收件范围内的广播邮件，不含已删除的，默认也不含已过期的，按发送时间倒序
+ * 返回 [{ mail, state }]，state 为空表示玩家尚未操作过该邮件
+ */
+async function findPlayerMails(openid, { mailId = null, includeExpired = false, limit = 100 } = {}) {
+  const conditions = [{ [Op.or]: [{ openid }, { openid: null }] }];
+  if (!includeExpired) {
+    conditions.push({ [Op.or]: [{ expiresAt: null }, { expiresAt: { [Op.gt]: new Date() } }] });
+  }
+
+  const mails = await Mail.findAll({
+    where: {
+      ...(mailId === null ? {} : { id: mailId }),
+      [Op.and]: conditions
+    },
+    order: [['id', 'DESC']],
+    limit
+  });
+
+  const profile = mails.some(mail => mail.openid === null && mail.target)
+    ? await getMailProfile(openid)
+    : null;
+  const visible = mails.filter(mail =>
+    mail.openid !== null || !mail.target || matchesMailTarget(JSON.parse(mail.target), profile)
+  );
+
+  const states = visible.length > 0
+    ? await MailState.findAll({ where: { openid, mailId: { [Op.in]: visible.map(mail => mail.id) } } })
+    : [];
+
+  return visible
+    .map(mail => ({ mail, state: states.find(state => state.mailId === mail.id) || null }))
+    .filter(({ state }) => !state || !state.deletedAt);
+}
+
+/**
+ * 获取玩家对某封邮件的状态记录，不存在时创建
+ */
+async function getOrCreateMailState(openid, mailId) {
+  const [state] = await MailState.findOrCreate({ where: { mailId, openid } });
+  return state;
+}
+
+/**
+ * 领取邮件附件：先以未领取为条件标记已领取，再发放奖励，发放失败时恢复为未领取
+ * 已领取过时返回 false
+ */
+async function claimMailAttachments(openid, mail) {
+  const state = await getOrCreateMailState(openid, mail.id);
+  const now = new Date();
+  const [affected] = await MailState.update(
+    { claimedAt: now, readAt: state.readAt || now },
+    { where: { id: state.id, claimedAt: null } }
+  );
+  if (affected === 0) {
+    return false;
+  }
+
+  try {
+    await grantReward(openid, JSON.parse(mail.attachments), {
+      reason: 'mail',
+      idempotencyKey: `mail:${mail.id}`
+    });
+  } catch (error) {
+    await MailState.update({ claimedAt: null }, { where: { id: state.id } });
+    throw error;
+  }
+  return true;
+}
+
+/**
+ * 兑换兑换码：先写入兑换记录占住本人名额，再以未达上限为条件增加兑换次数，最后发放奖励
+ * 返回 'used' 本人已兑换过，'exhausted' 已达兑换次数上限，'ok' 兑换成功
+ */
+async function redeemGiftCode(openid, giftCode) {
+  const { code } = giftCode;
+
+  let redemption;
+  try {
+    redemption = await GiftCodeRedemption.create({ code, openid });
+  } catch (error) {
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      return 'used';
+    }
+    throw error;
+  }
+
+  const [affected] = await GiftCode.update(
+    { redeemedCount: sequelize.literal('redeemedCount + 1') },
+    {
+      where: {
+        code,
+        [Op.or]: [
+          { maxRedemptions: null },
+          { redeemedCount: { [Op.lt]: sequelize.col('maxRedemptions') } }
+        ]
+      }
+    }
+  );
+  if (affected === 0) {
+    await redemption.destroy();
+    return 'exhausted';
+  }
+
+  try {
+    await grantReward(openid, JSON.parse(giftCode.reward), {
+      reason: 'giftcode',
+      idempotencyKey: `giftcode:${code}`
+    });
+  } catch (error) {
+    await GiftCode.update(
+      { redeemedCount: sequelize.literal('redeemedCount - 1') },
+      { where: { code } }
+    );
+    await redemption.destroy();
+    throw error;
+  }
+  return 'ok';
+}
+
+/**
+ * 写入远程配置，expectedVersion 为运营修改前看到的版本号，新建配置时为 0
+ * 不传 expectedVersion 时直接覆盖；版本号不符时返回 { conflict: true, entry: 当前配置 }
+ */
+async function setConfigEntry(key, value, expectedVersion = null) {
+  const serialized = JSON.stringify(value);
+
+  const existing = await ConfigEntry.findByPk(key);
+  const currentVersion = existing ? existing.version : 0;
+  if (expectedVersion !== null && expectedVersion !== currentVersion) {
+    return { conflict: true, entry: existing };
+  }
+
+  if (!existing) {
+    try {
+      return { conflict: false, entry: await ConfigEntry.create({ key, value: serialized }) };
+    } catch (error) {
+      if (error.name === 'SequelizeUniqueConstraintError') {
+        // 并发创建了同名配置
+        return { conflict: true, entry: await ConfigEntry.findByPk(key) };
+      }
+      throw error;
+    }
+  }
+
+  const [affected] = await ConfigEntry.update(
+    { value: serialized, version: currentVersion + 1 },
+    { where: { key, version: currentVersion } }
+  );
+  const entry = await ConfigEntry.findByPk(key);
+  return { conflict: affected === 0, entry };
+}
+
+/**
+ * 查询当前正在展示的公告，按优先级与开始时间倒序
+ */
+async function findActiveAnnouncements(now = new Date()) {
+  return Announcement.findAll({
+    where: {
+      startAt: { [Op.lte]: now },
+      [Op.or]: [{ endAt: null }, { endAt: { [Op.gt]: now } }]
+    },
+    order: [['priority', 'DESC'], ['startAt', 'DESC'], ['id', 'DESC']]
+  });
+}
+
+/**
+ * 领取排行榜奖励：先以状态为条件标记已领取，再发放到存档，发放失败时恢复为待领取
+ * 返回领取到的奖励记录，已被领取或不存在时返回 null
+ */
+async function claimRankReward(openid, rewardId) {
+  const [affected] = await RankReward.update(
+    { status: 'claimed', claimedAt: new Date() },
+    { where: { id: rewardId, openid, status: 'pending' } }
+  );
+  if (affected === 0) {
+    return null;
+  }
+
+  const rankReward = await RankReward.findByPk(rewardId);
+  try {
+    await grantReward(openid, JSON.parse(rankReward.reward), {
+      reason: 'rank_reward',
+      idempotencyKey: `rank_reward:${rankReward.id}`
+    });
+  } catch (error) {
+    await RankReward.update(
+      { status: 'pending', claimedAt: null },
+      { where: { id: rewardId } }
+    );
+    throw error;
+  }
+  return rankReward;
+}
+
+/**
+ * 将指定日期的排行榜（全服及各角色前100名）归档，已归档的日期直接跳过
+ */
+async function archiveDailyRank(recordDate) {
+  const existing = await DailyRankArchive.findByPk(recordDate);
+  if (existing) {
+    return existing;
+  }
+
+  const top100 = await DailyRank.findAll({
+    where: {
+      recordDate,
+      id: { [Op.in]: await getTopRankIds(recordDate) }
+    },
+    order: [
+      ['instanceID', 'DESC'],
+      ['createdAt', 'ASC'],
+      ['id', 'ASC']
+    ]
+  });
+  const totalPlayers = await DailyRank.count({ where: getRankBoardWhere(recordDate) });
+
+  try {
+    const archive = await DailyRankArchive.create({
+      recordDate,
+      totalPlayers,
+      topList: JSON.stringify(top100.map(record => [
+        record.openid,
+        record.playerName,
+        record.roleID,
+        record.instanceID,
+        record.isBest ? 1 : 0
+      ]))
+    });
+    console.log(`[${recordDate}] 排行榜已归档，共 ${top100.length} 条`);
+    return archive;
+  } catch (error) {
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      return await DailyRankArchive.findByPk(recordDate);
+    }
+    throw error;
+  }
+}
+
+/**
+ * 读取归档的排行榜，返回与 DailyRank 记录同名字段的对象数组；无归档时返回 null
+ */
+async function getArchivedRank(recordDate) {
+  const archive = await DailyRankArchive.findByPk(recordDate);
+  if (!archive) {
+    return null;
+  }
+
+  // 按角色分别记录成绩之前的归档每人只有一条记录，即为全服榜记录
+  return JSON.parse(archive.topList).map(([openid, playerName, roleID, instanceID, isBest = 1]) => ({
+    openid,
+    playerName,
+    roleID,
+    instanceID,
+    isBest: isBest === 1
+  }));
+}
+
+/**
+ * 获取指定周期榜的周期信息 { periodKey, startDate, endDate }
+ * 周榜以周一为一周开始；赛季榜取 dateString 所在赛季，无进行中的赛季时返回 null
+ */
+function getRankPeriod(boardType, dateString) {
+  if (boardType === 'weekly') {
+    const dayOfWeek = new Date(`${dateString}T00:00:00Z`).getUTCDay();
+    const startDate = shiftDateString(dateString, -((dayOfWeek + 6) % 7));
+    return { periodKey: startDate, startDate, endDate: shiftDateString(startDate, 6) };
+  }
+
+  const season = config.rankSeasons.find(item =>
+    item.startDate <= dateString && dateString <= item.endDate
+  );
+  return season
+    ? { periodKey: season.id, startDate: season.startDate, endDate: season.endDate }
+    : null;
+}
+
+/**
+ * 按周期 key 查找周期信息，用于查询往期周榜/赛季榜；key 无效时返回 null
+ */
+function findRankPeriod(boardType, periodKey) {
+  if (boardType === 'weekly') {
+    if (typeof periodKey !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(periodKey)) {
+      return null;
+    }
+    // 格式正确但日期不存在（如 2026-13-45）时同样视为无效
+    const date = new Date(`${periodKey}T00:00:00Z`);
+    if (isNaN(date.getTime()) || date.toISOString().split('T')[0] !== periodKey) {
+      return null;
+    }
+    return getRankPeriod('weekly', periodKey);
+  }
+
+  const season = config.rankSeasons.find(item => item.id === periodKey);
+  return season
+    ? { periodKey: season.id, startDate: season.startDate, endDate: season.endDate }
+    : null;
+}
+
+/**
+ * 将一次成绩计入当前周榜与赛季榜，只在超过周期内最好成绩时更新
+ */
+async function recordPeriodBest(openid, { playerName, roleID, instanceID }, dateString) {
+  for (const boardType of ['weekly', 'season']) {
+    const period = getRankPeriod(boardType, dateString);
+    if (!period) {
+      continue;
+    }
+
+    const where = { boardType, periodKey: period.periodKey, openid };
+    const values = { playerName, roleID, instanceID, achievedAt: new Date() };
+
+    const [record, created] = await PeriodRank.findOrCreate({ where, defaults: values });
+    if (!created && record.instanceID < instanceID) {
+      // 以分数为条件更新，避免并发提交时较低的成绩覆盖较高的成绩
+      await PeriodRank.update(values, {
+        where: { ...where, instanceID: { [Op.lt]: instanceID } }
+      });
+    }
+  }
+}
+
+/**
+ * 尝试获取定时任务租约，任务在 runKey 周期内已成功执行或租约被其他实例持有时返回 null
+ */
+async function acquireJobLease(name, owner, runKey, leaseMs) {
+  await ScheduledJob.findOrCreate({ where: { name } });
+
+  const now = new Date();
+  const [affected] = await ScheduledJob.update({
+    lockedBy: owner,
+    lockedUntil: new Date(now.getTime() + leaseMs)
+  }, {
+    where: {
+      name,
+      [Op.and]: [
+        { [Op.or]: [{ lockedUntil: null }, { lockedUntil: { [Op.lt]: now } }] },
+        { [Op.or]: [{ lastRunKey: null }, { lastRunKey: { [Op.ne]: runKey } }, { lastStatus: { [Op.ne]: 'success' } }] }
+      ]
+    }
+  });
+
+  return affected === 1 ? await ScheduledJob.findByPk(name) : null;
+}
+
+/**
+ * 记录定时任务执行结果并释放租约，成功时记下 runKey，同一周期内不再执行
+ */
+async function finishJobRun(name, owner, runKey, error = null) {
+  const values = {
+    lockedBy: null,
+    lockedUntil: null,
+    lastRunAt: new Date(),
+    lastStatus: error ? 'failed' : 'success',
+    lastError: error ? String(error.stack || error).substring(0, 2000) : null
+  };
+  if (!error) {
+    values.lastRunKey = runKey;
+  }
+  await ScheduledJob.update(values, { where: { name, lockedBy: owner } });
 }
 
 // 导出初始化方法和模型
 module.exports = {
   init,
+  migrator,
   sequelize,
   Op,
   Counter,
   GameSave,
+  GameSaveHistory,
   ShareInvite,
+  ShareCode,
+  ShareInviteAudit,
+  InviteMilestoneClaim,
   DailyRank,      
+  DailyRankArchive,
+  ScheduledJob,
+  Mail,
+  MailState,
+  GiftCode,
+  GiftCodeRedemption,
+  ConfigEntry,
+  Announcement,
+  Wallet,
+  WalletTransaction,
+  CheckIn,
+  PeriodRank,
+  RunSession,
+  RankRejection,
+  RankReward,
+  writeGameSave,
+  updateGameSave,
+  restoreGameSave,
+  grantReward,
+  getOrCreateWallet,
+  changeWalletBalance,
+  getOrCreateShareCode,
+  resolveShareCode,
   recordShareInvite, 
   getInviteCount,
-  trimTodayRank,
-  getBeijingDateString
+  getTodayInviteCount,
+  logShareInviteAudit,
+  findSuspiciousInviters,
+  revokeShareInvites,
+  getInviteFriendIds,
+  claimInviteMilestone,
+  getLastCheckIn,
+  getNextCheckInStreak,
+  getCheckInReward,
+  checkIn,
+  findPlayerMails,
+  getOrCreateMailState,
+  claimMailAttachments,
+  redeemGiftCode,
+  setConfigEntry,
+  findActiveAnnouncements,
+  createRunSession,
+  consumeRunSession,
+  logRankRejection,
+  getRankBoardWhere,
+  recordDailyBest,
+  settleDailyRank,
+  claimRankReward,
+  archiveDailyRank,
+  getArchivedRank,
+  getRankPeriod,
+  findRankPeriod,
+  recordPeriodBest,
+  acquireJobLease,
+  finishJobRun
 };
\ No newline at end of file
@@ -0,0 +1,84 @@
+const config = require("./config");
+
+// ============ 游戏日 ============
+// 每日排行榜、邀请上限、每日结算等按「游戏日」划分，
+// 游戏日在 GAME_TIMEZONE 时区的 DAY_RESET_HOUR 点切换（默认北京时间零点），日期格式均为 YYYY-MM-DD
+
+if (!Number.isInteger(config.dayResetHour) || config.dayResetHour < 0 || config.dayResetHour > 23) {
+  throw new Error(`DAY_RESET_HOUR 必须为 0-23 的整数，当前为 ${config.dayResetHour}`);
+}
+
+// 时区无效时此处抛出 RangeError，服务拒绝启动
+const formatter = new Intl.DateTimeFormat('en-US', {
+  timeZone: config.gameTimezone,
+  hourCycle: 'h23',
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit',
+  second: '2-digit'
+});
+
+/**
+ * 获取时间在游戏时区的年月日时分秒
+ */
+function getZonedParts(date) {
+  const parts = {};
+  for (const { type, value } of formatter.formatToParts(date)) {
+    parts[type] = value;
+  }
+  return parts;
+}
+
+/**
+ * 获取游戏时区在指定时间的 UTC 偏移（毫秒）
+ */
+function getTimezoneOffset(date) {
+  const parts = getZonedParts(date);
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * 日期字符串加减天数（YYYY-MM-DD）
+ */
+function shiftDateString(dateString, days) {
+  const date = new Date(`${dateString}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * 获取时间所属的游戏日，切换时刻之前仍属于前一天
+ */
+function getGameDateString(date = new Date()) {
+  const parts = getZonedParts(date);
+  const localDate = `${parts.year}-${parts.month}-${parts.day}`;
+  return Number(parts.hour) < config.dayResetHour ? shiftDateString(localDate, -1) : localDate;
+}
+
+/**
+ * 获取游戏日开始（切换时刻）对应的时间
+ */
+function getGameDayStart(dateString) {
+  const hour = String(config.dayResetHour).padStart(2, '0');
+  const wallClock = Date.parse(`${dateString}T${hour}:00:00Z`);
+  // 按切换时刻附近的偏移换算两次，处理夏令时
+  const guess = wallClock - getTimezoneOffset(new Date(wallClock));
+  return new Date(wallClock - getTimezoneOffset(new Date(guess)));
+}
+
+/**
+ * 获取下一次游戏日切换的时间
+ */
+function getNextResetTime(date = new Date()) {
+  return getGameDayStart(shiftDateString(getGameDateString(date), 1));
+}
+
+module.exports = {
+  shiftDateString,
+  getGameDateString,
+  getGameDayStart,
+  getNextResetTime
+};
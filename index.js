@@ -1,4 +1,5 @@
 const path = require("path");
+const crypto = require("crypto");
 const express = require("express");
 const cors = require("cors");
 const morgan = require("morgan");
@@ -7,16 +8,71 @@ const {
   init: initDB,
   Counter,
   GameSave,
+  GameSaveHistory,
   ShareInvite,
+  ShareInviteAudit,
+  InviteMilestoneClaim,
   DailyRank,
+  writeGameSave,
+  updateGameSave,
+  restoreGameSave,
+  getOrCreateWallet,
+  changeWalletBalance,
+  getOrCreateShareCode,
+  resolveShareCode,
   recordShareInvite,
   getInviteCount,
-  trimTodayRank,
-  getBeijingDateString  // 从 db.js 导入
+  getTodayInviteCount,
+  logShareInviteAudit,
+  findSuspiciousInviters,
+  revokeShareInvites,
+  getInviteFriendIds,
+  claimInviteMilestone,
+  getLastCheckIn,
+  getNextCheckInStreak,
+  getCheckInReward,
+  checkIn,
+  Mail,
+  findPlayerMails,
+  getOrCreateMailState,
+  claimMailAttachments,
+  GiftCode,
+  redeemGiftCode,
+  ConfigEntry,
+  Announcement,
+  setConfigEntry,
+  findActiveAnnouncements,
+  DailyRankArchive,
+  ScheduledJob,
+  WalletTransaction,
+  PeriodRank,
+  RunSession,
+  RankRejection,
+  RankReward,
+  createRunSession,
+  consumeRunSession,
+  logRankRejection,
+  getRankBoardWhere,
+  recordDailyBest,
+  settleDailyRank,
+  claimRankReward,
+  archiveDailyRank,
+  getArchivedRank,
+  getRankPeriod,
+  findRankPeriod,
+  recordPeriodBest
 } = require("./db");
 const { Op } = require("sequelize");
+const config = require("./config");
+const { shiftDateString, getGameDateString, getGameDayStart, getNextResetTime } = require("./gameDay");
+const { validateGameData, createDefaultGameData } = require("./saveSchema");
+const { PatchError, applyMergePatch, applyJsonPatch } = require("./jsonPatch");
+const { checkRunSubmission } = require("./antiCheat");
+const { normalizeReward } = require("./rewards");
+const { registerJob, startScheduler } = require("./scheduler");
 
-const logger = morgan("tiny");
+// 测试环境下不输出访问日志
+const logger = morgan("tiny", { skip: () => process.env.NODE_ENV === "test" });
 
 const app = express();
 app.use(express.urlencoded({ extended: false }));
@@ -24,127 +80,118 @@ app.use(express.json());
 app.use(cors());
 app.use(logger);
 
-// 在顶部添加这个声明
-let isCleaning = false;
-let lastCleanupDay = null;
-
-// 每日清理函数
-function setupDailyCleanup() {
-  console.log('设置每日零点清理任务...');
-  
-  // 每分钟检查一次
-  setInterval(async () => {
-    const today = getBeijingDateString();
-    const beijingHour = getBeijingHour();
-    
-    // 如果是凌晨0点，且今天还没清理过
-    if (beijingHour === 0 && lastCleanupDay !== today) {
-      console.log(`[${new Date().toISOString()}] 北京时间零点，执行清理`);
-      lastCleanupDay = today;
-      await cleanupOldRanks();
-      
-      // 清理后立即修剪今日排行榜
-      await trimTodayRank(today);
-    }
-  }, 60 * 1000);
-  
-  // 服务器启动后立即检查一次
-  setTimeout(async () => {
-    console.log('服务器启动，执行首次数据检查...');
-    await cleanupOldRanks();
-    lastCleanupDay = getBeijingDateString();
-    
-    // 启动时也修剪一下今日排行榜
-    const today = getBeijingDateString();
-    await trimTodayRank(today);
-  }, 10000);
-  
-  // 每5分钟修剪一次今日排行榜（防止数据过多）
-  setInterval(async () => {
-    const today = getBeijingDateString();
-    await trimTodayRank(today);
-  }, 5 * 60 * 1000);
+// 本地开发模式：没有云托管网关注入身份时，取 x-dev-openid 请求头或 DEV_MOCK_OPENID 作为用户身份
+// 线上环境使用 MySQL，只允许在本地 SQLite 数据库下开启，误配 DEV_MODE 时拒绝启动，避免任何人都能冒充用户
+if (config.devMode) {
+  if (process.env.DB_DIALECT !== "sqlite" || process.env.NODE_ENV === "production") {
+    throw new Error("DEV_MODE 只能在本地开发（DB_DIALECT=sqlite）时开启，启动中止");
+  }
+  app.use((req, res, next) => {
+    const mockOpenId = req.headers["x-dev-openid"] || config.devMockOpenId;
+    if (!req.headers["x-wx-openid"] && mockOpenId) {
+      req.headers["x-wx-openid"] = mockOpenId;
+      req.headers["x-wx-source"] = req.headers["x-wx-source"] || "dev";
+    }
+    next();
+  });
 }
 
 /**
- * 获取北京时间的小时数
+ * 运营接口鉴权：请求头 x-admin-token 需与 ADMIN_TOKEN 一致
  */
-function getBeijingHour() {
-  const now = new Date();
-  const utcHour = now.getUTCHours();
-  return (utcHour + 8) % 24; // 北京=UTC+8
+function requireAdmin(req, res, next) {
+  const token = req.headers["x-admin-token"] || '';
+  const expected = config.adminToken;
+
+  if (!expected || token.length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(token), Buffer.from(expected))) {
+    return res.status(403).json({ code: 403, message: "无运营权限" });
+  }
+  next();
 }
 
-// 清理旧数据函数
+// 清理旧数据函数：往日排行榜先结算奖励、归档前100名，再删除明细；超出保留天数的归档一并删除
+// 由调度器每日执行一次，失败时抛出异常，由调度器记录并在下次检查时重试
 async function cleanupOldRanks() {
-  // 防止重复执行
-  if (isCleaning) {
-    console.log('清理任务正在运行，跳过本次执行');
-    return;
+  const today = getGameDateString();
+  const pastDates = await DailyRank.findAll({
+    attributes: ['recordDate'],
+    where: { recordDate: { [Op.lt]: today } },
+    group: ['recordDate'],
+    raw: true
+  });
+
+  let result = 0;
+  for (const { recordDate } of pastDates) {
+    await settleDailyRank(recordDate);
+    await archiveDailyRank(recordDate);
+    result += await DailyRank.destroy({ where: { recordDate } });
   }
   
-  isCleaning = true;
-  
-  try {
-    const today = getBeijingDateString();
-    const result = await DailyRank.destroy({
-      where: {
-        recordDate: { [Op.ne]: today }
-      }
-    });
-    
-    if (result > 0) {
-      console.log(`[${new Date().toISOString()}] 清理了 ${result} 条旧排行榜数据`);
-    } else {
-      console.log(`[${new Date().toISOString()}] 没有需要清理的旧数据`);
+  if (result > 0) {
+    console.log(`[${new Date().toISOString()}] 归档并清理了 ${result} 条旧排行榜数据`);
+  } else {
+    console.log(`[${new Date().toISOString()}] 没有需要清理的旧数据`);
+  }
+
+  const expiredArchives = await DailyRankArchive.destroy({
+    where: {
+      recordDate: { [Op.lt]: shiftDateString(today, -config.rankArchiveRetentionDays) }
     }
-  } catch (error) {
-    console.error('清理旧数据失败:', error);
-  } finally {
-    isCleaning = false;
+  });
+  if (expiredArchives > 0) {
+    console.log(`[${new Date().toISOString()}] 删除了 ${expiredArchives} 天过期的排行榜归档`);
   }
+
+  // 对局凭证有效期远小于一天，超过一天的直接删除
+  await RunSession.destroy({
+    where: {
+      createdAt: { [Op.lt]: new Date(Date.now() - 24 * 60 * 60 * 1000) }
+    }
+  });
 }
 
+// 每日结算与清理：每个游戏日执行一次，停机错过的切换时刻在启动后补执行
+registerJob({
+  name: 'daily_rank_cleanup',
+  getRunKey: () => getGameDateString(),
+  run: cleanupOldRanks
+});
+
 /**
- * 获取玩家在今日排行榜中的排名
- * 如果不在前100名内，返回null
+ * 获取玩家在今日排行榜中的精确排名（分数降序，同分先提交者在前，同一时刻提交的按记录 ID），传入 roleID 时为该角色榜中的排名
+ * 通过 idx_date_score 上的计数查询得出，不需要加载排行榜数据；玩家今日未提交成绩时返回null
  */
-async function getPlayerRank(openid, today) {
+async function getPlayerRank(openid, today, roleID = null) {
   try {
-    // 获取今日前100名
-    const top100 = await DailyRank.findAll({
-      where: { recordDate: today },
-      order: [
-        ['instanceID', 'DESC'],
-        ['createdAt', 'ASC']
-      ],
-      limit: 100
+    const where = getRankBoardWhere(today, roleID);
+
+    const playerRecord = await DailyRank.findOne({
+      where: { ...where, openid }
     });
     
-    // 查找玩家在列表中的位置
-    const playerIndex = top100.findIndex(record => record.openid === openid);
-    
-    if (playerIndex === -1) {
+    if (!playerRecord) {
       return null; // 未上榜
     }
     
-    // 处理同分情况
-    const playerScore = top100[playerIndex].instanceID;
-    const playerCreatedAt = top100[playerIndex].createdAt;
-    
-    // 计算比玩家分数高的记录数
-    let higherCount = 0;
-    for (const record of top100) {
-      if (record.instanceID > playerScore) {
-        higherCount++;
-      } else if (record.instanceID === playerScore && 
-                 new Date(record.createdAt) < new Date(playerCreatedAt)) {
-        // 同分但创建时间更早
-        higherCount++;
-      } else {
-        break; // 后面的记录分数不会更高
+    // 计算排在玩家前面的记录数：分数更高，或同分但创建时间更早，或同分同时刻但记录 ID 更小
+    const higherCount = await DailyRank.count({
+      where: {
+        ...where,
+        [Op.or]: [
+          { instanceID: { [Op.gt]: playerRecord.instanceID } },
+          {
+            instanceID: playerRecord.instanceID,
+            createdAt: { [Op.lt]: playerRecord.createdAt }
+          },
+          {
+            instanceID: playerRecord.instanceID,
+            createdAt: playerRecord.createdAt,
+            id: { [Op.lt]: playerRecord.id }
+          }
+        ]
       }
-    }
+    });
     
     return higherCount + 1;
   } catch (error) {
@@ -153,6 +200,16 @@ async function getPlayerRank(openid, today) {
   }
 }
 
+/**
+ * 计算击败玩家的百分比（0-100，保留两位小数），榜上只有一人时为100
+ */
+function getRankPercentile(rank, total) {
+  if (total <= 1) {
+    return 100;
+  }
+  return Math.round((total - rank) / (total - 1) * 10000) / 100;
+}
+
 // 首页
 app.get("/", async (req, res) => {
   res.sendFile(path.join(__dirname, "index.html"));
@@ -195,10 +252,51 @@ app.get("/api/wx_openid", async (req, res) => {
 });
 
 // ============ 自定义接口 START ============
+
+/**
+ * 解析请求头 x-save-revision，未携带时返回 null，格式错误返回 undefined
+ */
+function parseSaveRevision(req) {
+  const revisionHeader = req.headers["x-save-revision"];
+  if (revisionHeader === undefined) {
+    return null;
+  }
+  const revision = Number(revisionHeader);
+  return Number.isInteger(revision) && revision >= 0 ? revision : undefined;
+}
+
+/**
+ * 以钱包余额覆盖存档中的金币，金币以服务器钱包为准，客户端上传的金币不生效
+ */
+async function withWalletGold(openid, gameData) {
+  const wallet = await getOrCreateWallet(openid);
+  return { ...gameData, gold: wallet.balance };
+}
+
+/**
+ * 返回存档版本冲突，附带服务器当前存档供客户端合并
+ */
+async function sendSaveConflict(res, openid, record) {
+  res.send({
+    code: 1001,
+    message: "存档版本冲突，请先同步服务器存档",
+    data: record ? {
+      revision: record.revision,
+      gameData: await withWalletGold(openid, JSON.parse(record.gameData)),
+      updatedAt: record.updatedAt
+    } : {
+      revision: 0,
+      gameData: await withWalletGold(openid, createDefaultGameData()),
+      updatedAt: null
+    }
+  });
+}
 // 保存游戏存档接口
+// 请求头 x-save-revision 携带客户端存档所基于的版本号，落后于服务器时拒绝写入
 app.post("/api/save_data", async (req, res) => {
   const openid = req.headers["x-wx-openid"];
   const gameData = req.body;
+  const expectedRevision = parseSaveRevision(req);
 
   if (!openid) {
     return res.send({ code: 401, message: "未获取到用户身份" });
@@ -207,20 +305,36 @@ app.post("/api/save_data", async (req, res) => {
     return res.send({ code: 400, message: "请求体数据无效" });
   }
 
-  try {
-    const [record, created] = await GameSave.upsert({
-      openid: openid,
-      gameData: JSON.stringify(gameData),
-      updatedAt: new Date()
-    }, {
-      returning: true
+  if (expectedRevision === undefined) {
+    return res.send({ code: 400, message: "存档版本号无效" });
+  }
+
+  const validation = validateGameData(gameData);
+  if (!validation.valid) {
+    return res.send({
+      code: 400,
+      message: "存档数据校验失败",
+      data: { errors: validation.errors }
     });
+  }
+
+  try {
+    const gameData = await withWalletGold(openid, validation.value);
+    const result = await writeGameSave(openid, gameData, expectedRevision);
+
+    if (result.conflict) {
+      console.warn(`用户 ${openid} 存档版本冲突，客户端版本: ${expectedRevision}，服务器版本: ${result.record.revision}`);
+      return await sendSaveConflict(res, openid, result.record);
+    }
 
-    console.log(`用户 ${openid} 存档${created ? '新建' : '更新'}成功`);
+    console.log(`用户 ${openid} 存档${result.created ? '新建' : '更新'}成功，版本: ${result.record.revision}`);
     res.send({
       code: 0,
       message: "存档保存成功",
-      data: { openid: openid }
+      data: {
+        openid: openid,
+        revision: result.record.revision
+      }
     });
   } catch (error) {
     console.error('保存存档失败:', error);
@@ -228,6 +342,65 @@ app.post("/api/save_data", async (req, res) => {
   }
 });
 
+// 局部更新游戏存档接口
+// 请求体 { merge: {...} } 为 JSON Merge Patch，{ operations: [...] } 为 JSON Patch，二选一
+// 补丁在服务器当前存档上应用并整体校验，成功后返回更新后的完整存档
+app.post("/api/patch_data", async (req, res) => {
+  const openid = req.headers["x-wx-openid"];
+  const { merge, operations } = req.body || {};
+  const expectedRevision = parseSaveRevision(req);
+
+  if (!openid) {
+    return res.send({ code: 401, message: "未获取到用户身份" });
+  }
+  if ((merge === undefined) === (operations === undefined)) {
+    return res.send({ code: 400, message: "merge 与 operations 必须且只能提供一个" });
+  }
+  if (expectedRevision === undefined) {
+    return res.send({ code: 400, message: "存档版本号无效" });
+  }
+
+  try {
+    const wallet = await getOrCreateWallet(openid);
+    const result = await updateGameSave(openid, (gameData) => {
+      const patched = merge !== undefined
+        ? applyMergePatch(gameData, merge)
+        : applyJsonPatch(gameData, operations);
+
+      const validation = validateGameData(patched);
+      if (!validation.valid) {
+        throw new PatchError("存档数据校验失败", validation.errors);
+      }
+      return { ...validation.value, gold: wallet.balance };
+    }, { expectedRevision, source: 'patch' });
+
+    if (result.conflict) {
+      return await sendSaveConflict(res, openid, result.record);
+    }
+
+    console.log(`用户 ${openid} 存档局部更新成功，版本: ${result.record.revision}`);
+    res.send({
+      code: 0,
+      message: "存档更新成功",
+      data: {
+        openid: openid,
+        revision: result.record.revision,
+        gameData: JSON.parse(result.record.gameData)
+      }
+    });
+  } catch (error) {
+    if (error instanceof PatchError) {
+      return res.send({
+        code: 400,
+        message: error.errors ? error.message : `补丁应用失败: ${error.message}`,
+        data: error.errors ? { errors: error.errors } : null
+      });
+    }
+    console.error('局部更新存档失败:', error);
+    res.send({ code: 500, message: "服务器内部错误，更新失败" });
+  }
+});
+
 // 读取游戏存档接口
 app.get("/api/load_data", async (req, res) => {
   const openid = req.headers["x-wx-openid"];
@@ -245,18 +418,20 @@ app.get("/api/load_data", async (req, res) => {
         message: "存档加载成功",
         data: {
           hasData: true,
-          gameData: JSON.parse(record.gameData),
+          gameData: await withWalletGold(openid, JSON.parse(record.gameData)),
+          revision: record.revision,
           updatedAt: record.updatedAt
         }
       });
     } else {
-      const defaultData = { gold: 100, instanceID: 0, items: [] };
+      const defaultData = await withWalletGold(openid, createDefaultGameData());
       res.send({
         code: 0,
         message: "无存档，返回默认数据",
         data: {
           hasData: false,
-          gameData: defaultData
+          gameData: defaultData,
+          revision: 0
         }
       });
     }
@@ -266,32 +441,176 @@ app.get("/api/load_data", async (req, res) => {
   }
 });
 
+// 获取自己的存档历史快照列表
+app.get("/api/save/history", async (req, res) => {
+  const openid = req.headers["x-wx-openid"];
+
+  if (!openid) {
+    return res.send({ code: 401, message: "未获取到用户身份" });
+  }
+
+  try {
+    const history = await GameSaveHistory.findAll({
+      where: { openid },
+      attributes: ['id', 'revision', 'size', 'source', 'createdAt'],
+      order: [['id', 'DESC']]
+    });
+
+    res.send({
+      code: 0,
+      message: "获取存档历史成功",
+      data: {
+        list: history.map(item => ({
+          id: item.id,
+          revision: item.revision,
+          size: item.size,
+          source: item.source,
+          savedAt: item.createdAt
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('获取存档历史失败:', error);
+    res.send({ code: 500, message: "服务器内部错误，获取失败" });
+  }
+});
+
+// 运营接口：查看指定玩家的存档历史（含存档内容）
+app.get("/api/admin/save/history", requireAdmin, async (req, res) => {
+  const { openid } = req.query;
+
+  if (!openid) {
+    return res.send({ code: 400, message: "缺少 openid" });
+  }
+
+  try {
+    const history = await GameSaveHistory.findAll({
+      where: { openid },
+      order: [['id', 'DESC']]
+    });
+
+    res.send({
+      code: 0,
+      message: "获取存档历史成功",
+      data: {
+        openid,
+        list: history.map(item => ({
+          id: item.id,
+          revision: item.revision,
+          size: item.size,
+          source: item.source,
+          savedAt: item.createdAt,
+          gameData: JSON.parse(item.gameData)
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('获取存档历史失败:', error);
+    res.send({ code: 500, message: "服务器内部错误，获取失败" });
+  }
+});
+
+// 运营接口：将指定历史快照恢复为玩家当前存档（金币以钱包为准，不随存档回滚，需要时通过 /api/admin/wallet/adjust 调整）
+app.post("/api/admin/save/restore", requireAdmin, async (req, res) => {
+  const { openid, historyId } = req.body;
+
+  if (!openid || !Number.isInteger(historyId)) {
+    return res.send({ code: 400, message: "缺少 openid 或 historyId" });
+  }
+
+  try {
+    const result = await restoreGameSave(openid, historyId);
+
+    if (!result) {
+      return res.send({ code: 404, message: "存档快照不存在" });
+    }
+    if (result.conflict) {
+      return res.send({ code: 1001, message: "存档正在被写入，请稍后重试" });
+    }
+
+    console.log(`运营回滚用户 ${openid} 存档至快照 ${historyId}，新版本: ${result.record.revision}`);
+    res.send({
+      code: 0,
+      message: "存档回滚成功",
+      data: {
+        openid,
+        revision: result.record.revision,
+        gameData: await withWalletGold(openid, JSON.parse(result.record.gameData))
+      }
+    });
+  } catch (error) {
+    console.error('回滚存档失败:', error);
+    res.send({ code: 500, message: "服务器内部错误，回滚失败" });
+  }
+});
+
+// 获取自己的分享码接口，分享链接中携带分享码而非 openid
+app.get("/api/share/code", async (req, res) => {
+  const openid = req.headers["x-wx-openid"];
+
+  if (!openid) {
+    return res.send({ code: 401, message: "未获取到用户身份" });
+  }
+
+  try {
+    const shareCode = await getOrCreateShareCode(openid);
+    res.send({
+      code: 0,
+      message: "获取分享码成功",
+      data: { shareCode }
+    });
+  } catch (error) {
+    console.error('获取分享码失败:', error);
+    res.send({ 
+      code: 500, 
+      message: "服务器内部错误，获取失败",
+      error: error.message 
+    });
+  }
+});
+
+// 记录分享邀请接口：被邀请者身份取自 x-wx-openid，分享者由分享码确定
+// 被邀请者须为尚未创建存档的新玩家，邀请在其首次存档后才计为成功
 app.post("/api/share/record", async (req, res) => {
-  const {inviteeOpenId, inviterOpenId, scene } = req.body;
+  const inviteeOpenId = req.headers["x-wx-openid"];
+  const { shareCode, scene } = req.body;
   
-  if (!inviterOpenId) {
-    return res.send({ code: 401, message: "未获取到分享者身份" });
-  }
   if (!inviteeOpenId) {
-    return res.send({ code: 400, message: "缺少被邀请者信息" });
+    return res.send({ code: 401, message: "未获取到用户身份" });
   }
-  
-  if (inviterOpenId === inviteeOpenId) {
-    return res.send({ code: 400, message: "不能邀请自己" });
+  if (!shareCode || typeof shareCode !== 'string') {
+    return res.send({ code: 400, message: "缺少分享码" });
   }
 
   try {
+    const inviterOpenId = await resolveShareCode(shareCode);
+    if (!inviterOpenId) {
+      return res.send({ code: 2004, message: "分享码无效" });
+    }
+    if (inviterOpenId === inviteeOpenId) {
+      return res.send({ code: 400, message: "不能邀请自己" });
+    }
+
+    const existingSave = await GameSave.findByPk(inviteeOpenId, { attributes: ['openid'] });
+    if (existingSave) {
+      return res.send({ code: 2005, message: "老玩家不计入邀请", data: null });
+    }
+
+    if (await getTodayInviteCount(inviterOpenId) >= config.inviteDailyLimit) {
+      await logShareInviteAudit('rate_limited', inviterOpenId, { inviteeOpenId, scene });
+      console.warn(`分享者 ${inviterOpenId} 今日邀请数已达上限`);
+      return res.send({ code: 2006, message: "分享者今日邀请次数已达上限", data: null });
+    }
+
     const invite = await recordShareInvite(inviterOpenId, inviteeOpenId, { scene });
     
     if (invite) {
-      const totalInvites = await getInviteCount(inviterOpenId);
-      
       res.send({ 
         code: 0, 
         message: "分享记录成功",
         data: {
           inviteId: invite.id,
-          totalInvites: totalInvites,
+          status: invite.status
         }
       });
     } else {
@@ -321,6 +640,12 @@ app.get("/api/share/stats", async (req, res) => {
 
   try {
     const inviteCount = await getInviteCount(openid);
+    const pendingCount = await ShareInvite.count({
+      where: {
+        inviterOpenId: openid,
+        status: 'pending'
+      }
+    });
     
     const inviteList = await ShareInvite.findAll({
       where: {
@@ -338,6 +663,7 @@ app.get("/api/share/stats", async (req, res) => {
       data: {
         inviterOpenId: openid,
         totalInvites: inviteCount,
+        pendingInvites: pendingCount, // 已点击分享但尚未创建存档的邀请
         inviteList: inviteList.map(item => ({
           id: item.id,
           inviteeOpenId: item.inviteeOpenId.substring(0, 8) + '...',
@@ -356,205 +682,1803 @@ app.get("/api/share/stats", async (req, res) => {
   }
 });
 
-// ============ 获取服务器当前日期接口 ============
-app.get("/api/current_date", async (req, res) => {
+// 获取邀请里程碑进度接口
+app.get("/api/share/milestones", async (req, res) => {
+  const openid = req.headers["x-wx-openid"];
+
+  if (!openid) {
+    return res.send({ code: 401, message: "未获取到用户身份" });
+  }
+
   try {
-    const now = new Date();
-    
+    const inviteCount = await getInviteCount(openid);
+    const claims = await InviteMilestoneClaim.findAll({
+      where: { openid },
+      attributes: ['milestone', 'createdAt']
+    });
+
     res.send({
       code: 0,
-      message: "success",
+      message: "获取邀请里程碑成功",
       data: {
-        iso: now.toISOString(),          
-        date: getBeijingDateString(),
-        local: now.toString(),            
-        timestamp: now.getTime(),         
-        year: now.getFullYear(),
-        month: now.getMonth() + 1,
-        day: now.getDate(),
-        dayOfWeek: now.getDay()
+        totalInvites: inviteCount,
+        milestones: config.inviteMilestones.map(item => {
+          const claim = claims.find(c => c.milestone === item.count);
+          return {
+            count: item.count,
+            reward: item.reward,
+            reached: inviteCount >= item.count,
+            claimed: !!claim,
+            claimedAt: claim ? claim.createdAt : null
+          };
+        })
       }
     });
   } catch (error) {
-    console.error('获取日期失败:', error);
+    console.error('获取邀请里程碑失败:', error);
     res.send({ 
       code: 500, 
-      message: "获取服务器日期失败" 
+      message: "服务器内部错误，获取失败",
+      error: error.message 
     });
   }
 });
 
-// ============ 每日排行榜接口 ============
-
-// 接口1：上传/更新成绩
-app.post("/api/rank/submit", async (req, res) => {
+// 领取邀请里程碑奖励接口
+app.post("/api/share/milestones/claim", async (req, res) => {
   const openid = req.headers["x-wx-openid"];
-  const { playerName, instanceID, roleID = 1 } = req.body;
+  const { milestone } = req.body;
 
   if (!openid) {
-    return res.status(401).json({ 
-      code: 401, 
-      message: "未获取到用户身份" 
-    });
-  }
-  if (!playerName || playerName.trim() === '') {
-    return res.status(400).json({ 
-      code: 400, 
-      message: "玩家名字不能为空" 
-    });
+    return res.send({ code: 401, message: "未获取到用户身份" });
   }
-  if (typeof instanceID !== 'number' || instanceID < 0) {
-    return res.status(400).json({ 
-      code: 400, 
-      message: "instanceID 必须为非负数字" 
-    });
+
+  const milestoneConfig = config.inviteMilestones.find(item => item.count === milestone);
+  if (!milestoneConfig) {
+    return res.send({ code: 400, message: "里程碑不存在" });
   }
 
   try {
-    const beijingDateToday = getBeijingDateString();
-    const now = new Date();
-
-    // 检查玩家今日是否已有记录
-    const existingRecord = await DailyRank.findOne({
-      where: {
-        openid: openid,
-        recordDate: beijingDateToday
-      }
-    });
-
-    let record;
-    let isNew = false;
-    
-    if (existingRecord) {
-      // 只保留更高的分数
-      if (instanceID > existingRecord.instanceID) {
-        await existingRecord.update({
-          playerName: playerName.trim(),
-          roleID: roleID,
-          instanceID: instanceID
-        });
-        record = existingRecord;
-      } else {
-        // 分数没超过，不更新
-        return res.json({
-          code: 0,
-          message: "分数未超过当前记录，不更新",
-          data: {
-            playerName: existingRecord.playerName,
-            roleID: existingRecord.roleID,
-            instanceID: existingRecord.instanceID,
-            date: existingRecord.recordDate,
-            isUpdated: false
-          }
-        });
-      }
-    } else {
-      // 创建新记录
-      record = await DailyRank.create({
-        openid: openid,
-        recordDate: beijingDateToday,
-        playerName: playerName.trim(),
-        roleID: roleID,
-        instanceID: instanceID
+    const inviteCount = await getInviteCount(openid);
+    if (inviteCount < milestone) {
+      return res.send({ 
+        code: 2002, 
+        message: "邀请人数未达到里程碑要求",
+        data: { totalInvites: inviteCount, milestone }
       });
-      isNew = true;
     }
 
-    // 修剪排行榜，只保留前100名
-    await trimTodayRank(beijingDateToday);
-    
-    // 计算当前排名
-    const rank = await getPlayerRank(openid, beijingDateToday);
+    const claim = await claimInviteMilestone(openid, milestone, milestoneConfig.reward);
+    if (!claim) {
+      return res.send({ code: 2003, message: "该里程碑奖励已领取" });
+    }
 
-    console.log(`[${beijingDateToday}] 玩家 ${playerName} (角色${roleID}) ${isNew ? '创建' : '更新'}了成绩: ${instanceID}, 排名: ${rank || '未上榜'}`);
-    
-    res.json({
+    console.log(`用户 ${openid} 领取了邀请 ${milestone} 人里程碑奖励`);
+    res.send({
+      code: 0,
+      message: "领取成功",
+      data: {
+        milestone,
+        reward: JSON.parse(claim.reward)
+      }
+    });
+  } catch (error) {
+    console.error('领取邀请里程碑奖励失败:', error);
+    res.send({ 
+      code: 500, 
+      message: "服务器内部错误，领取失败",
+      error: error.message 
+    });
+  }
+});
+
+// 运营接口：列出命中风控规则的可疑分享者
+app.get("/api/admin/share/flagged", requireAdmin, async (req, res) => {
+  try {
+    const flagged = await findSuspiciousInviters();
+    res.send({
+      code: 0,
+      message: "获取可疑分享者成功",
+      data: {
+        rules: config.inviteFraudRules,
+        list: flagged
+      }
+    });
+  } catch (error) {
+    console.error('检测可疑分享者失败:', error);
+    res.send({ 
+      code: 500, 
+      message: "服务器内部错误，获取失败",
+      error: error.message 
+    });
+  }
+});
+
+// 运营接口：查看某个分享者的全部邀请记录及审计日志
+app.get("/api/admin/share/invites", requireAdmin, async (req, res) => {
+  const { inviterOpenId } = req.query;
+
+  if (!inviterOpenId) {
+    return res.send({ code: 400, message: "缺少 inviterOpenId" });
+  }
+
+  try {
+    const invites = await ShareInvite.findAll({
+      where: { inviterOpenId },
+      order: [['createdAt', 'DESC']],
+      limit: 500
+    });
+    const audits = await ShareInviteAudit.findAll({
+      where: { inviterOpenId },
+      order: [['id', 'DESC']],
+      limit: 100
+    });
+
+    res.send({
+      code: 0,
+      message: "获取邀请记录成功",
+      data: {
+        inviterOpenId,
+        invites: invites.map(item => ({
+          id: item.id,
+          inviteeOpenId: item.inviteeOpenId,
+          status: item.status,
+          inviteDate: item.createdAt,
+          updatedAt: item.updatedAt,
+          extraInfo: item.extraInfo ? JSON.parse(item.extraInfo) : null
+        })),
+        audits: audits.map(item => ({
+          id: item.id,
+          action: item.action,
+          detail: item.detail ? JSON.parse(item.detail) : null,
+          createdAt: item.createdAt
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('获取邀请记录失败:', error);
+    res.send({ 
+      code: 500, 
+      message: "服务器内部错误，获取失败",
+      error: error.message 
+    });
+  }
+});
+
+// 运营接口：撤销邀请，传 inviteIds 撤销指定邀请，传 inviterOpenId 撤销该分享者的全部邀请
+app.post("/api/admin/share/revoke", requireAdmin, async (req, res) => {
+  const { inviteIds, inviterOpenId, reason } = req.body;
+
+  if (inviteIds !== undefined &&
+      (!Array.isArray(inviteIds) || inviteIds.length === 0 || !inviteIds.every(Number.isInteger))) {
+    return res.send({ code: 400, message: "inviteIds 必须为非空整数数组" });
+  }
+  if (inviteIds === undefined && !inviterOpenId) {
+    return res.send({ code: 400, message: "需要提供 inviteIds 或 inviterOpenId" });
+  }
+
+  try {
+    const revoked = await revokeShareInvites({
+      inviteIds: inviteIds || null,
+      inviterOpenId: inviterOpenId || null,
+      reason: reason || null
+    });
+
+    res.send({
+      code: 0,
+      message: "撤销成功",
+      data: { revoked }
+    });
+  } catch (error) {
+    console.error('撤销邀请失败:', error);
+    res.send({ 
+      code: 500, 
+      message: "服务器内部错误，撤销失败",
+      error: error.message 
+    });
+  }
+});
+
+// ============ 每日签到接口 ============
+
+/**
+ * 玩家当前的连续签到天数：最近一次签到是今天或昨天时有效，更早则已断签，为0
+ */
+function getCurrentStreak(lastCheckIn, today) {
+  if (!lastCheckIn || lastCheckIn.checkInDate < shiftDateString(today, -1)) {
+    return 0;
+  }
+  return lastCheckIn.streak;
+}
+
+// 查询签到状态：今日是否已签到、当前连续天数、今日（或明日）可得的奖励及奖励表
+app.get("/api/checkin", async (req, res) => {
+  const openid = req.headers["x-wx-openid"];
+  const today = getGameDateString();
+
+  if (!openid) {
+    return res.status(401).json({ 
+      code: 401, 
+      message: "未获取到用户身份" 
+    });
+  }
+
+  try {
+    const lastCheckIn = await getLastCheckIn(openid);
+    const checkedIn = !!lastCheckIn && lastCheckIn.checkInDate === today;
+    // 今日已签到时展示明日继续签到可得的奖励
+    const nextStreak = checkedIn
+      ? lastCheckIn.streak + 1
+      : getNextCheckInStreak(lastCheckIn, today);
+
+    res.json({
+      code: 0,
+      data: {
+        checkedIn,
+        streak: getCurrentStreak(lastCheckIn, today),
+        nextStreak,
+        nextReward: getCheckInReward(nextStreak),
+        lastCheckInDate: lastCheckIn ? lastCheckIn.checkInDate : null,
+        rewards: config.checkInRewards,
+        date: today
+      }
+    });
+  } catch (error) {
+    console.error('查询签到状态失败:', error);
+    res.status(500).json({ 
+      code: 500, 
+      message: "查询失败"
+    });
+  }
+});
+
+// 签到并领取当日奖励，每个游戏日只能签到一次
+app.post("/api/checkin/claim", async (req, res) => {
+  const openid = req.headers["x-wx-openid"];
+  const today = getGameDateString();
+
+  if (!openid) {
+    return res.status(401).json({ 
+      code: 401, 
+      message: "未获取到用户身份" 
+    });
+  }
+
+  try {
+    const record = await checkIn(openid, today);
+    if (!record) {
+      return res.json({
+        code: 4001,
+        message: "今日已签到"
+      });
+    }
+
+    console.log(`用户 ${openid} 签到成功，连续 ${record.streak} 天`);
+    res.json({
+      code: 0,
+      message: "签到成功",
+      data: {
+        streak: record.streak,
+        reward: JSON.parse(record.reward),
+        date: record.checkInDate
+      }
+    });
+  } catch (error) {
+    console.error('签到失败:', error);
+    res.status(500).json({ 
+      code: 500, 
+      message: "签到失败"
+    });
+  }
+});
+
+// ============ 钱包接口 ============
+// 金币只能由服务器发放（签到、邀请、排行榜等奖励）或通过消耗接口扣减，每次变动记录流水
+// 客户端与运营传入的幂等键存储时加上 spend: / admin: 前缀，不会与服务器发奖的幂等键（checkin:、mail: 等）冲突
+
+/**
+ * 校验金币变动的原因与幂等键，无效时返回错误信息
+ */
+function validateWalletChange({ reason, idempotencyKey }, { requireKey }) {
+  if (typeof reason !== 'string' || reason.trim() === '' || reason.length > 50) {
+    return "reason 必须为 1-50 个字符";
+  }
+  if (idempotencyKey === undefined && !requireKey) {
+    return null;
+  }
+  if (typeof idempotencyKey !== 'string' || idempotencyKey === '' || idempotencyKey.length > 90) {
+    return "idempotencyKey 必须为 1-90 个字符";
+  }
+  return null;
+}
+
+/**
+ * 流水记录转为接口返回格式
+ */
+function formatWalletTransaction(item) {
+  return {
+    id: item.id,
+    amount: item.amount,
+    balanceAfter: item.balanceAfter,
+    reason: item.reason,
+    idempotencyKey: item.idempotencyKey,
+    detail: item.detail ? JSON.parse(item.detail) : null,
+    createdAt: item.createdAt
+  };
+}
+
+/**
+ * 分页查询玩家金币流水，按时间倒序，beforeId 为上一页最后一条的 id
+ */
+async function findWalletTransactions(openid, query) {
+  const limit = Math.min(Number(query.limit) || 20, 100);
+  const beforeId = Number(query.beforeId);
+
+  const list = await WalletTransaction.findAll({
+    where: Number.isInteger(beforeId) && beforeId > 0
+      ? { openid, id: { [Op.lt]: beforeId } }
+      : { openid },
+    order: [['id', 'DESC']],
+    limit
+  });
+  return list.map(formatWalletTransaction);
+}
+
+// 查询金币余额
+app.get("/api/wallet", async (req, res) => {
+  const openid = req.headers["x-wx-openid"];
+
+  if (!openid) {
+    return res.status(401).json({ 
+      code: 401, 
+      message: "未获取到用户身份" 
+    });
+  }
+
+  try {
+    const wallet = await getOrCreateWallet(openid);
+    res.json({
+      code: 0,
+      data: {
+        balance: wallet.balance,
+        updatedAt: wallet.updatedAt
+      }
+    });
+  } catch (error) {
+    console.error('查询钱包失败:', error);
+    res.status(500).json({ 
+      code: 500, 
+      message: "查询失败"
+    });
+  }
+});
+
+// 查询金币流水，?limit= 每页条数（默认20，最多100），?beforeId= 翻页
+app.get("/api/wallet/transactions", async (req, res) => {
+  const openid = req.headers["x-wx-openid"];
+
+  if (!openid) {
+    return res.status(401).json({ 
+      code: 401, 
+      message: "未获取到用户身份" 
+    });
+  }
+
+  try {
+    res.json({
+      code: 0,
+      data: {
+        list: await findWalletTransactions(openid, req.query)
+      }
+    });
+  } catch (error) {
+    console.error('查询金币流水失败:', error);
+    res.status(500).json({ 
+      code: 500, 
+      message: "查询失败"
+    });
+  }
+});
+
+// 消耗金币，客户端重试时须携带相同的 idempotencyKey，同一幂等键只扣减一次
+app.post("/api/wallet/spend", async (req, res) => {
+  const openid = req.headers["x-wx-openid"];
+  const { amount, reason, idempotencyKey, detail } = req.body;
+
+  if (!openid) {
+    return res.status(401).json({ 
+      code: 401, 
+      message: "未获取到用户身份" 
+    });
+  }
+  if (!Number.isInteger(amount) || amount <= 0) {
+    return res.status(400).json({ 
+      code: 400, 
+      message: "amount 必须为正整数" 
+    });
+  }
+  const invalid = validateWalletChange({ reason, idempotencyKey }, { requireKey: true });
+  if (invalid) {
+    return res.status(400).json({ 
+      code: 400, 
+      message: invalid 
+    });
+  }
+
+  try {
+    const result = await changeWalletBalance(openid, -amount, {
+      reason: reason.trim(),
+      idempotencyKey: `spend:${idempotencyKey}`,
+      detail: detail === undefined ? null : detail
+    });
+
+    if (result.insufficient) {
+      return res.json({
+        code: 5001,
+        message: "金币不足",
+        data: { balance: result.balance }
+      });
+    }
+    if (result.duplicate && result.record.amount !== -amount) {
+      return res.json({
+        code: 5002,
+        message: "幂等键已被金额不同的请求使用"
+      });
+    }
+
+    res.json({
+      code: 0,
+      message: result.duplicate ? "重复请求，已按首次结果返回" : "消耗成功",
+      data: {
+        duplicate: result.duplicate,
+        balance: result.record.balanceAfter,
+        transaction: formatWalletTransaction(result.record)
+      }
+    });
+  } catch (error) {
+    console.error('消耗金币失败:', error);
+    res.status(500).json({ 
+      code: 500, 
+      message: "消耗失败"
+    });
+  }
+});
+
+// 运营接口：调整玩家金币（补偿或扣除），amount 为正发放、为负扣除
+app.post("/api/admin/wallet/adjust", requireAdmin, async (req, res) => {
+  const { openid, amount, reason, idempotencyKey } = req.body;
+
+  if (!openid || !Number.isInteger(amount) || amount === 0) {
+    return res.status(400).json({ 
+      code: 400, 
+      message: "缺少 openid 或 amount 不是非零整数" 
+    });
+  }
+  const invalid = validateWalletChange({ reason, idempotencyKey }, { requireKey: false });
+  if (invalid) {
+    return res.status(400).json({ 
+      code: 400, 
+      message: invalid 
+    });
+  }
+
+  try {
+    const result = await changeWalletBalance(openid, amount, {
+      reason: 'admin',
+      idempotencyKey: idempotencyKey ? `admin:${idempotencyKey}` : null,
+      detail: { reason: reason.trim() }
+    });
+
+    if (result.insufficient) {
+      return res.json({
+        code: 5001,
+        message: "金币不足",
+        data: { balance: result.balance }
+      });
+    }
+
+    console.log(`运营调整用户 ${openid} 金币 ${amount}，原因: ${reason}`);
+    res.json({
+      code: 0,
+      message: result.duplicate ? "重复请求，已按首次结果返回" : "调整成功",
+      data: {
+        duplicate: result.duplicate,
+        balance: result.record.balanceAfter,
+        transaction: formatWalletTransaction(result.record)
+      }
+    });
+  } catch (error) {
+    console.error('调整金币失败:', error);
+    res.status(500).json({ 
+      code: 500, 
+      message: "调整失败"
+    });
+  }
+});
+
+// 运营接口：查看指定玩家的金币流水
+app.get("/api/admin/wallet/transactions", requireAdmin, async (req, res) => {
+  const { openid } = req.query;
+
+  if (!openid) {
+    return res.status(400).json({ 
+      code: 400, 
+      message: "缺少 openid" 
+    });
+  }
+
+  try {
+    const wallet = await getOrCreateWallet(openid);
+    res.json({
+      code: 0,
+      data: {
+        openid,
+        balance: wallet.balance,
+        list: await findWalletTransactions(openid, req.query)
+      }
+    });
+  } catch (error) {
+    console.error('查询金币流水失败:', error);
+    res.status(500).json({ 
+      code: 500, 
+      message: "查询失败"
+    });
+  }
+});
+
+// ============ 邮箱接口 ============
+// 错误码：6001 邮件不存在，6002 邮件已过期，6003 没有可领取的附件，6004 附件未领取不能删除
+
+/**
+ * 邮件转为接口返回格式
+ */
+function formatMail({ mail, state }) {
+  return {
+    id: mail.id,
+    title: mail.title,
+    content: mail.content,
+    attachments: mail.attachments ? JSON.parse(mail.attachments) : null,
+    isBroadcast: mail.openid === null,
+    read: !!(state && state.readAt),
+    claimed: !!(state && state.claimedAt),
+    sentAt: mail.createdAt,
+    expiresAt: mail.expiresAt
+  };
+}
+
+/**
+ * 查找玩家可操作的单封邮件，不存在或已过期时直接返回错误并返回 null
+ */
+async function findMailOrReply(res, openid, mailId) {
+  const [item] = await findPlayerMails(openid, { mailId, includeExpired: true, limit: 1 });
+  if (!item) {
+    res.json({ code: 6001, message: "邮件不存在" });
+    return null;
+  }
+  if (item.mail.expiresAt && item.mail.expiresAt <= new Date()) {
+    res.json({ code: 6002, message: "邮件已过期" });
+    return null;
+  }
+  return item;
+}
+
+// 获取邮箱列表
+app.get("/api/mail", async (req, res) => {
+  const openid = req.headers["x-wx-openid"];
+
+  if (!openid) {
+    return res.status(401).json({ 
+      code: 401, 
+      message: "未获取到用户身份" 
+    });
+  }
+
+  try {
+    const mails = await findPlayerMails(openid);
+    const list = mails.map(formatMail);
+
+    res.json({
+      code: 0,
+      data: {
+        list,
+        unreadCount: list.filter(item => !item.read).length,
+        unclaimedCount: list.filter(item => item.attachments && !item.claimed).length
+      }
+    });
+  } catch (error) {
+    console.error('获取邮箱失败:', error);
+    res.status(500).json({ 
+      code: 500, 
+      message: "获取邮箱失败"
+    });
+  }
+});
+
+// 标记邮件已读
+app.post("/api/mail/read", async (req, res) => {
+  const openid = req.headers["x-wx-openid"];
+  const { mailId } = req.body;
+
+  if (!openid) {
+    return res.status(401).json({ 
+      code: 401, 
+      message: "未获取到用户身份" 
+    });
+  }
+  if (!Number.isInteger(mailId)) {
+    return res.status(400).json({ 
+      code: 400, 
+      message: "mailId 必须为整数" 
+    });
+  }
+
+  try {
+    const item = await findMailOrReply(res, openid, mailId);
+    if (!item) {
+      return;
+    }
+
+    const state = item.state || await getOrCreateMailState(openid, mailId);
+    if (!state.readAt) {
+      await state.update({ readAt: new Date() });
+    }
+    res.json({ code: 0, message: "已读" });
+  } catch (error) {
+    console.error('标记邮件已读失败:', error);
+    res.status(500).json({ 
+      code: 500, 
+      message: "操作失败"
+    });
+  }
+});
+
+// 领取邮件附件，传 mailId 领取单封，不传则领取全部未领取的附件
+app.post("/api/mail/claim", async (req, res) => {
+  const openid = req.headers["x-wx-openid"];
+  const { mailId } = req.body;
+
+  if (!openid) {
+    return res.status(401).json({ 
+      code: 401, 
+      message: "未获取到用户身份" 
+    });
+  }
+  if (mailId !== undefined && !Number.isInteger(mailId)) {
+    return res.status(400).json({ 
+      code: 400, 
+      message: "mailId 必须为整数" 
+    });
+  }
+
+  try {
+    let candidates;
+    if (mailId !== undefined) {
+      const item = await findMailOrReply(res, openid, mailId);
+      if (!item) {
+        return;
+      }
+      candidates = [item];
+    } else {
+      candidates = await findPlayerMails(openid);
+    }
+
+    const claimed = [];
+    for (const { mail, state } of candidates) {
+      if (!mail.attachments || (state && state.claimedAt)) {
+        continue;
+      }
+      if (await claimMailAttachments(openid, mail)) {
+        claimed.push({ id: mail.id, attachments: JSON.parse(mail.attachments) });
+      }
+    }
+
+    if (claimed.length === 0) {
+      return res.json({
+        code: 6003,
+        message: "没有可领取的附件"
+      });
+    }
+
+    console.log(`用户 ${openid} 领取了 ${claimed.length} 封邮件的附件`);
+    res.json({
+      code: 0,
+      message: "领取成功",
+      data: { list: claimed }
+    });
+  } catch (error) {
+    console.error('领取邮件附件失败:', error);
+    res.status(500).json({ 
+      code: 500, 
+      message: "领取失败"
+    });
+  }
+});
+
+// 删除邮件，有未领取附件的邮件不能删除
+app.post("/api/mail/delete", async (req, res) => {
+  const openid = req.headers["x-wx-openid"];
+  const { mailId } = req.body;
+
+  if (!openid) {
+    return res.status(401).json({ 
+      code: 401, 
+      message: "未获取到用户身份" 
+    });
+  }
+  if (!Number.isInteger(mailId)) {
+    return res.status(400).json({ 
+      code: 400, 
+      message: "mailId 必须为整数" 
+    });
+  }
+
+  try {
+    const [item] = await findPlayerMails(openid, { mailId, includeExpired: true, limit: 1 });
+    if (!item) {
+      return res.json({ code: 6001, message: "邮件不存在" });
+    }
+    const expired = item.mail.expiresAt && item.mail.expiresAt <= new Date();
+    if (item.mail.attachments && !(item.state && item.state.claimedAt) && !expired) {
+      return res.json({ code: 6004, message: "附件未领取，不能删除" });
+    }
+
+    const state = item.state || await getOrCreateMailState(openid, mailId);
+    await state.update({ deletedAt: new Date() });
+    res.json({ code: 0, message: "删除成功" });
+  } catch (error) {
+    console.error('删除邮件失败:', error);
+    res.status(500).json({ 
+      code: 500, 
+      message: "删除失败"
+    });
+  }
+});
+
+/**
+ * 校验广播邮件收件范围，返回错误信息或 null
+ */
+function validateMailTarget(target) {
+  if (typeof target !== 'object' || target === null || Array.isArray(target)) {
+    return "target 必须为对象";
+  }
+  if (target.roleIDs !== undefined &&
+      (!Array.isArray(target.roleIDs) || !target.roleIDs.every(Number.isInteger))) {
+    return "target.roleIDs 必须为整数数组";
+  }
+  for (const key of ['registeredFrom', 'registeredTo']) {
+    if (target[key] !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(target[key])) {
+      return `target.${key} 格式应为 YYYY-MM-DD`;
+    }
+  }
+  return null;
+}
+
+// 运营接口：发送邮件
+// 传 openids 时逐个发送给指定玩家，不传时为全服广播，可用 target 限定收件范围：
+// { roleIDs: [1, 2], registeredFrom: "2026-10-01", registeredTo: "2026-10-19" }（roleIDs 匹配玩家提交成绩时用过的角色，注册日期为首次存档的游戏日）
+app.post("/api/admin/mail/send", requireAdmin, async (req, res) => {
+  const { openids, title, content, attachments, target, expireDays = config.mailExpireDays } = req.body;
+
+  if (openids !== undefined &&
+      (!Array.isArray(openids) || openids.length === 0 || openids.length > 1000 ||
+       !openids.every(item => typeof item === 'string' && item !== ''))) {
+    return res.status(400).json({ code: 400, message: "openids 必须为 1-1000 个 openid 的数组" });
+  }
+  if (typeof title !== 'string' || title.trim() === '' || title.length > 100) {
+    return res.status(400).json({ code: 400, message: "title 必须为 1-100 个字符" });
+  }
+  if (typeof content !== 'string') {
+    return res.status(400).json({ code: 400, message: "content 必须为字符串" });
+  }
+  if (!Number.isInteger(expireDays) || expireDays < 1) {
+    return res.status(400).json({ code: 400, message: "expireDays 必须为正整数" });
+  }
+  if (target !== undefined) {
+    const invalid = openids !== undefined ? "target 只适用于全服广播" : validateMailTarget(target);
+    if (invalid) {
+      return res.status(400).json({ code: 400, message: invalid });
+    }
+  }
+
+  try {
+    const reward = normalizeReward(attachments);
+    const values = {
+      title: title.trim(),
+      content,
+      attachments: Object.keys(reward).length > 0 ? JSON.stringify(reward) : null,
+      target: target ? JSON.stringify(target) : null,
+      expiresAt: new Date(Date.now() + expireDays * 24 * 60 * 60 * 1000)
+    };
+
+    const mails = openids
+      ? await Mail.bulkCreate([...new Set(openids)].map(openid => ({ ...values, openid })))
+      : [await Mail.create({ ...values, openid: null })];
+
+    console.log(`运营发送邮件「${values.title}」，${openids ? `收件人 ${mails.length} 人` : '全服广播'}`);
+    res.json({
+      code: 0,
+      message: "发送成功",
+      data: {
+        mailIds: mails.map(mail => mail.id),
+        expiresAt: values.expiresAt
+      }
+    });
+  } catch (error) {
+    console.error('发送邮件失败:', error);
+    res.status(500).json({ 
+      code: 500, 
+      message: "发送失败"
+    });
+  }
+});
+
+// 运营接口：查看最近发送的邮件，可按 ?openid= 筛选
+app.get("/api/admin/mail", requireAdmin, async (req, res) => {
+  const { openid } = req.query;
+  const limit = Math.min(Number(req.query.limit) || 50, 500);
+
+  try {
+    const mails = await Mail.findAll({
+      where: openid ? { openid } : {},
+      order: [['id', 'DESC']],
+      limit
+    });
+
+    res.json({
+      code: 0,
+      data: {
+        list: mails.map(mail => ({
+          id: mail.id,
+          openid: mail.openid,
+          title: mail.title,
+          content: mail.content,
+          attachments: mail.attachments ? JSON.parse(mail.attachments) : null,
+          target: mail.target ? JSON.parse(mail.target) : null,
+          sentAt: mail.createdAt,
+          expiresAt: mail.expiresAt
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('获取邮件列表失败:', error);
+    res.status(500).json({ 
+      code: 500, 
+      message: "获取失败"
+    });
+  }
+});
+
+// ============ 兑换码接口 ============
+// 错误码：7001 兑换码不存在，7002 兑换码尚未生效，7003 兑换码已过期，7004 兑换码已被兑换完，7005 已兑换过该兑换码
+
+// 兑换兑换码，奖励中的金币记入钱包，道具发放到存档
+app.post("/api/giftcode/redeem", async (req, res) => {
+  const openid = req.headers["x-wx-openid"];
+  const { code } = req.body;
+
+  if (!openid) {
+    return res.status(401).json({ 
+      code: 401, 
+      message: "未获取到用户身份" 
+    });
+  }
+  if (typeof code !== 'string' || code.trim() === '') {
+    return res.status(400).json({ 
+      code: 400, 
+      message: "请输入兑换码" 
+    });
+  }
+
+  try {
+    const giftCode = await GiftCode.findByPk(code.trim().toUpperCase());
+    if (!giftCode) {
+      return res.json({ code: 7001, message: "兑换码不存在" });
+    }
+
+    const today = getGameDateString();
+    if (giftCode.startDate && today < giftCode.startDate) {
+      return res.json({ code: 7002, message: "兑换码尚未生效" });
+    }
+    if (giftCode.endDate && today > giftCode.endDate) {
+      return res.json({ code: 7003, message: "兑换码已过期" });
+    }
+
+    const result = await redeemGiftCode(openid, giftCode);
+    if (result === 'used') {
+      return res.json({ code: 7005, message: "已兑换过该兑换码" });
+    }
+    if (result === 'exhausted') {
+      return res.json({ code: 7004, message: "兑换码已被兑换完" });
+    }
+
+    console.log(`用户 ${openid} 兑换了兑换码 ${giftCode.code}`);
+    res.json({
+      code: 0,
+      message: "兑换成功",
+      data: { reward: JSON.parse(giftCode.reward) }
+    });
+  } catch (error) {
+    console.error('兑换兑换码失败:', error);
+    res.status(500).json({ 
+      code: 500, 
+      message: "兑换失败"
+    });
+  }
+});
+
+/**
+ * 兑换码转为运营接口返回格式
+ */
+function formatGiftCode(giftCode) {
+  return {
+    code: giftCode.code,
+    batch: giftCode.batch,
+    reward: JSON.parse(giftCode.reward),
+    maxRedemptions: giftCode.maxRedemptions,
+    redeemedCount: giftCode.redeemedCount,
+    startDate: giftCode.startDate,
+    endDate: giftCode.endDate,
+    createdAt: giftCode.createdAt
+  };
+}
+
+// 运营接口：创建兑换码
+// 传 code 时创建指定的兑换码（如公开发布的活动码），不传时随机生成 count 个，
+// maxRedemptions 为全服总兑换次数上限（单次码设为 1，不传表示不限），每个玩家对同一兑换码只能兑换一次，
+// startDate / endDate 为有效的首尾游戏日（均包含），不传表示不限
+app.post("/api/admin/giftcodes", requireAdmin, async (req, res) => {
+  const { code, count = 1, batch = null, reward, maxRedemptions = null, startDate = null, endDate = null } = req.body;
+
+  if (code !== undefined && (typeof code !== 'string' || !/^[A-Za-z0-9]{4,32}$/.test(code))) {
+    return res.status(400).json({ code: 400, message: "code 必须为 4-32 位字母或数字" });
+  }
+  if (!Number.isInteger(count) || count < 1 || count > 1000 || (code !== undefined && count !== 1)) {
+    return res.status(400).json({ code: 400, message: "count 必须为 1-1000 的整数，指定 code 时只能为 1" });
+  }
+  if (batch !== null && (typeof batch !== 'string' || batch.length > 50)) {
+    return res.status(400).json({ code: 400, message: "batch 必须为不超过 50 个字符的字符串" });
+  }
+  if (maxRedemptions !== null && (!Number.isInteger(maxRedemptions) || maxRedemptions < 1)) {
+    return res.status(400).json({ code: 400, message: "maxRedemptions 必须为正整数" });
+  }
+  for (const [key, value] of [['startDate', startDate], ['endDate', endDate]]) {
+    if (value !== null && (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value))) {
+      return res.status(400).json({ code: 400, message: `${key} 格式应为 YYYY-MM-DD` });
+    }
+  }
+  if (startDate && endDate && startDate > endDate) {
+    return res.status(400).json({ code: 400, message: "startDate 不能晚于 endDate" });
+  }
+
+  const normalized = normalizeReward(reward);
+  if (Object.keys(normalized).length === 0) {
+    return res.status(400).json({ code: 400, message: "reward 不能为空" });
+  }
+
+  try {
+    const codes = new Set(code !== undefined ? [code.toUpperCase()] : []);
+    while (codes.size < count) {
+      codes.add(crypto.randomBytes(5).toString('hex').toUpperCase());
+    }
+
+    const giftCodes = await GiftCode.bulkCreate([...codes].map(item => ({
+      code: item,
+      batch,
+      reward: JSON.stringify(normalized),
+      maxRedemptions,
+      startDate,
+      endDate
+    })));
+
+    console.log(`运营创建了 ${giftCodes.length} 个兑换码${batch ? `，批次: ${batch}` : ''}`);
+    res.json({
+      code: 0,
+      message: "创建成功",
+      data: { list: giftCodes.map(formatGiftCode) }
+    });
+  } catch (error) {
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      return res.status(409).json({ code: 409, message: "兑换码已存在" });
+    }
+    console.error('创建兑换码失败:', error);
+    res.status(500).json({ 
+      code: 500, 
+      message: "创建失败"
+    });
+  }
+});
+
+// 运营接口：查看兑换码及兑换次数，可按 ?batch= 或 ?code= 筛选
+app.get("/api/admin/giftcodes", requireAdmin, async (req, res) => {
+  const { batch, code } = req.query;
+  const limit = Math.min(Number(req.query.limit) || 50, 1000);
+
+  try {
+    const where = {};
+    if (batch) {
+      where.batch = batch;
+    }
+    if (code) {
+      where.code = String(code).toUpperCase();
+    }
+
+    const giftCodes = await GiftCode.findAll({
+      where,
+      order: [['createdAt', 'DESC'], ['code', 'ASC']],
+      limit
+    });
+
+    res.json({
+      code: 0,
+      data: { list: giftCodes.map(formatGiftCode) }
+    });
+  } catch (error) {
+    console.error('获取兑换码列表失败:', error);
+    res.status(500).json({ 
+      code: 500, 
+      message: "获取失败"
+    });
+  }
+});
+
+// ============ 远程配置与公告接口 ============
+// 客户端轮询时携带上次响应的 ETag（If-None-Match），内容未变化时返回 304，不下发响应体
+
+/**
+ * 公告转为接口返回格式
+ */
+function formatAnnouncement(announcement) {
+  return {
+    id: announcement.id,
+    title: announcement.title,
+    content: announcement.content,
+    priority: announcement.priority,
+    startAt: announcement.startAt,
+    endAt: announcement.endAt
+  };
+}
+
+// 获取远程配置与当前公告
+app.get("/api/remote_config", async (req, res) => {
+  try {
+    const [entries, announcements] = await Promise.all([
+      ConfigEntry.findAll({ order: [['key', 'ASC']] }),
+      findActiveAnnouncements()
+    ]);
+
+    const values = {};
+    for (const entry of entries) {
+      values[entry.key] = JSON.parse(entry.value);
+    }
+    const body = JSON.stringify({
+      code: 0,
+      data: {
+        config: values,
+        announcements: announcements.map(formatAnnouncement)
+      }
+    });
+
+    res.set({
+      'ETag': `"${crypto.createHash('sha1').update(body).digest('hex')}"`,
+      'Cache-Control': 'no-cache'
+    });
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+    res.type('json').send(body);
+  } catch (error) {
+    console.error('获取远程配置失败:', error);
+    res.status(500).json({ 
+      code: 500, 
+      message: "获取失败"
+    });
+  }
+});
+
+// 运营接口：查看全部远程配置及版本号
+app.get("/api/admin/config", requireAdmin, async (req, res) => {
+  try {
+    const entries = await ConfigEntry.findAll({ order: [['key', 'ASC']] });
+    res.json({
+      code: 0,
+      data: {
+        list: entries.map(entry => ({
+          key: entry.key,
+          value: JSON.parse(entry.value),
+          version: entry.version,
+          updatedAt: entry.updatedAt
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('获取远程配置列表失败:', error);
+    res.status(500).json({ 
+      code: 500, 
+      message: "获取失败"
+    });
+  }
+});
+
+// 运营接口：新建或修改远程配置，value 为任意 JSON
+// 传 expectedVersion（新建时为 0）时，配置已被他人修改则返回 409 及当前配置，不传则直接覆盖
+app.post("/api/admin/config", requireAdmin, async (req, res) => {
+  const { key, value, expectedVersion = null } = req.body;
+
+  if (typeof key !== 'string' || !/^[A-Za-z0-9_.-]{1,100}$/.test(key)) {
+    return res.status(400).json({ code: 400, message: "key 必须为 1-100 位字母、数字或 _ . -" });
+  }
+  if (value === undefined) {
+    return res.status(400).json({ code: 400, message: "缺少 value" });
+  }
+  // 与存储字段 TEXT 的容量一致
+  if (Buffer.byteLength(JSON.stringify(value)) > 65535) {
+    return res.status(400).json({ code: 400, message: "value 不能超过 65535 字节" });
+  }
+  if (expectedVersion !== null && (!Number.isInteger(expectedVersion) || expectedVersion < 0)) {
+    return res.status(400).json({ code: 400, message: "expectedVersion 必须为非负整数" });
+  }
+
+  try {
+    const { conflict, entry } = await setConfigEntry(key, value, expectedVersion);
+    const current = entry
+      ? { key: entry.key, value: JSON.parse(entry.value), version: entry.version, updatedAt: entry.updatedAt }
+      : null;
+
+    if (conflict) {
+      return res.status(409).json({
+        code: 409,
+        message: "配置已被修改，请刷新后重试",
+        data: current
+      });
+    }
+
+    console.log(`运营修改了远程配置 ${key}，版本: ${entry.version}`);
+    res.json({
+      code: 0,
+      message: "保存成功",
+      data: current
+    });
+  } catch (error) {
+    console.error('保存远程配置失败:', error);
+    res.status(500).json({ 
+      code: 500, 
+      message: "保存失败"
+    });
+  }
+});
+
+// 运营接口：删除远程配置
+app.post("/api/admin/config/delete", requireAdmin, async (req, res) => {
+  const { key } = req.body;
+
+  if (typeof key !== 'string' || key === '') {
+    return res.status(400).json({ code: 400, message: "缺少 key" });
+  }
+
+  try {
+    const deleted = await ConfigEntry.destroy({ where: { key } });
+    if (deleted === 0) {
+      return res.status(404).json({ code: 404, message: "配置不存在" });
+    }
+
+    console.log(`运营删除了远程配置 ${key}`);
+    res.json({ code: 0, message: "删除成功" });
+  } catch (error) {
+    console.error('删除远程配置失败:', error);
+    res.status(500).json({ 
+      code: 500, 
+      message: "删除失败"
+    });
+  }
+});
+
+/**
+ * 校验公告内容，返回 { error } 或 { values }；startAt 不传时为立即开始，endAt 不传表示一直展示
+ */
+function parseAnnouncement({ title, content, priority = 0, startAt, endAt = null }) {
+  if (typeof title !== 'string' || title.trim() === '' || title.length > 100) {
+    return { error: "title 必须为 1-100 个字符" };
+  }
+  if (typeof content !== 'string') {
+    return { error: "content 必须为字符串" };
+  }
+  if (!Number.isInteger(priority)) {
+    return { error: "priority 必须为整数" };
+  }
+
+  const start = startAt === undefined ? new Date() : new Date(startAt);
+  const end = endAt === null ? null : new Date(endAt);
+  if (isNaN(start.getTime()) || (end && isNaN(end.getTime()))) {
+    return { error: "startAt / endAt 必须为有效的时间" };
+  }
+  if (end && end <= start) {
+    return { error: "endAt 必须晚于 startAt" };
+  }
+
+  return { values: { title: title.trim(), content, priority, startAt: start, endAt: end } };
+}
+
+// 运营接口：查看公告，默认只看未结束的，?all=1 时包含已结束的
+app.get("/api/admin/announcements", requireAdmin, async (req, res) => {
+  const limit = Math.min(Number(req.query.limit) || 50, 500);
+
+  try {
+    const announcements = await Announcement.findAll({
+      where: req.query.all === '1'
+        ? {}
+        : { [Op.or]: [{ endAt: null }, { endAt: { [Op.gt]: new Date() } }] },
+      order: [['startAt', 'DESC'], ['id', 'DESC']],
+      limit
+    });
+
+    res.json({
+      code: 0,
+      data: { list: announcements.map(formatAnnouncement) }
+    });
+  } catch (error) {
+    console.error('获取公告列表失败:', error);
+    res.status(500).json({ 
+      code: 500, 
+      message: "获取失败"
+    });
+  }
+});
+
+// 运营接口：发布公告
+app.post("/api/admin/announcements", requireAdmin, async (req, res) => {
+  const { error, values } = parseAnnouncement(req.body);
+  if (error) {
+    return res.status(400).json({ code: 400, message: error });
+  }
+
+  try {
+    const announcement = await Announcement.create(values);
+    console.log(`运营发布公告「${announcement.title}」，ID: ${announcement.id}`);
+    res.json({
+      code: 0,
+      message: "发布成功",
+      data: formatAnnouncement(announcement)
+    });
+  } catch (error) {
+    console.error('发布公告失败:', error);
+    res.status(500).json({ 
+      code: 500, 
+      message: "发布失败"
+    });
+  }
+});
+
+// 运营接口：修改公告，需传完整的公告内容
+app.post("/api/admin/announcements/update", requireAdmin, async (req, res) => {
+  const { id } = req.body;
+  if (!Number.isInteger(id)) {
+    return res.status(400).json({ code: 400, message: "id 必须为整数" });
+  }
+  const { error, values } = parseAnnouncement(req.body);
+  if (error) {
+    return res.status(400).json({ code: 400, message: error });
+  }
+
+  try {
+    const announcement = await Announcement.findByPk(id);
+    if (!announcement) {
+      return res.status(404).json({ code: 404, message: "公告不存在" });
+    }
+
+    await announcement.update(values);
+    console.log(`运营修改了公告 ${id}`);
+    res.json({
+      code: 0,
+      message: "修改成功",
+      data: formatAnnouncement(announcement)
+    });
+  } catch (error) {
+    console.error('修改公告失败:', error);
+    res.status(500).json({ 
+      code: 500, 
+      message: "修改失败"
+    });
+  }
+});
+
+// 运营接口：删除公告
+app.post("/api/admin/announcements/delete", requireAdmin, async (req, res) => {
+  const { id } = req.body;
+  if (!Number.isInteger(id)) {
+    return res.status(400).json({ code: 400, message: "id 必须为整数" });
+  }
+
+  try {
+    const deleted = await Announcement.destroy({ where: { id } });
+    if (deleted === 0) {
+      return res.status(404).json({ code: 404, message: "公告不存在" });
+    }
+
+    console.log(`运营删除了公告 ${id}`);
+    res.json({ code: 0, message: "删除成功" });
+  } catch (error) {
+    console.error('删除公告失败:', error);
+    res.status(500).json({ 
+      code: 500, 
+      message: "删除失败"
+    });
+  }
+});
+
+// ============ 获取服务器当前日期接口 ============
+// date 及年月日、星期均为当前游戏日，nextResetAt 为下一次切换时间
+app.get("/api/current_date", async (req, res) => {
+  try {
+    const now = new Date();
+    const today = getGameDateString(now);
+    const gameDay = new Date(`${today}T00:00:00Z`);
+    
+    res.send({
+      code: 0,
+      message: "success",
+      data: {
+        iso: now.toISOString(),          
+        date: today,
+        local: now.toString(),            
+        timestamp: now.getTime(),         
+        year: gameDay.getUTCFullYear(),
+        month: gameDay.getUTCMonth() + 1,
+        day: gameDay.getUTCDate(),
+        dayOfWeek: gameDay.getUTCDay(),
+        timezone: config.gameTimezone,
+        resetHour: config.dayResetHour,
+        dayStartAt: getGameDayStart(today),
+        nextResetAt: getNextResetTime(now)
+      }
+    });
+  } catch (error) {
+    console.error('获取日期失败:', error);
+    res.send({ 
+      code: 500, 
+      message: "获取服务器日期失败" 
+    });
+  }
+});
+
+// ============ 每日排行榜接口 ============
+
+/**
+ * 解析查询参数 roleID（按角色分榜），未携带时返回 null，格式错误返回 undefined
+ */
+function parseRoleID(req) {
+  if (req.query.roleID === undefined) {
+    return null;
+  }
+  const roleID = Number(req.query.roleID);
+  return Number.isInteger(roleID) ? roleID : undefined;
+}
+
+// 接口0：开始关卡，签发对局凭证，提交成绩时必须携带
+app.post("/api/rank/run/start", async (req, res) => {
+  const openid = req.headers["x-wx-openid"];
+  const { roleID = 1 } = req.body;
+
+  if (!openid) {
+    return res.status(401).json({ 
+      code: 401, 
+      message: "未获取到用户身份" 
+    });
+  }
+  if (!config.rankRoleIDs.includes(roleID)) {
+    return res.status(400).json({ 
+      code: 400, 
+      message: "roleID 不是有效的角色" 
+    });
+  }
+
+  try {
+    const run = await createRunSession(openid, roleID, getGameDateString());
+
+    res.json({
+      code: 0,
+      message: "对局开始",
+      data: {
+        runToken: run.token,
+        startStage: run.startStage,
+        expiresAt: new Date(run.createdAt.getTime() + config.rankRunRules.tokenTtlMinutes * 60 * 1000)
+      }
+    });
+  } catch (error) {
+    console.error('签发对局凭证失败:', error);
+    res.status(500).json({ 
+      code: 500, 
+      message: "开始对局失败"
+    });
+  }
+});
+
+// 接口1：上传/更新成绩，需携带 /api/rank/run/start 签发的 runToken
+app.post("/api/rank/submit", async (req, res) => {
+  const openid = req.headers["x-wx-openid"];
+  const { playerName, instanceID, roleID = 1, runToken } = req.body;
+
+  if (!openid) {
+    return res.status(401).json({ 
+      code: 401, 
+      message: "未获取到用户身份" 
+    });
+  }
+  if (!playerName || playerName.trim() === '') {
+    return res.status(400).json({ 
+      code: 400, 
+      message: "玩家名字不能为空" 
+    });
+  }
+  if (typeof instanceID !== 'number' || instanceID < 0) {
+    return res.status(400).json({ 
+      code: 400, 
+      message: "instanceID 必须为非负数字" 
+    });
+  }
+  if (!config.rankRoleIDs.includes(roleID)) {
+    return res.status(400).json({ 
+      code: 400, 
+      message: "roleID 不是有效的角色" 
+    });
+  }
+
+  try {
+    const today = getGameDateString();
+    const now = new Date();
+
+    // 校验对局凭证与成绩合理性
+    const run = typeof runToken === 'string' ? await consumeRunSession(runToken, openid) : null;
+    const rejection = run
+      ? checkRunSubmission(run, { instanceID, roleID }, now)
+      : { reason: runToken ? 'invalid_token' : 'missing_token' };
+
+    if (rejection) {
+      if (run) {
+        await run.update({ status: 'rejected' });
+      }
+      await logRankRejection({
+        openid,
+        runToken: typeof runToken === 'string' ? runToken.substring(0, 64) : null,
+        instanceID,
+        reason: rejection.reason,
+        detail: rejection.detail
+      });
+      return res.status(403).json({
+        code: 3001,
+        message: "成绩校验未通过",
+        data: { reason: rejection.reason }
+      });
+    }
+
+    // 每个角色分别保留今日最高分
+    const { record, isNew, isUpdated } = await recordDailyBest(openid, today, {
+      playerName: playerName.trim(),
+      roleID,
+      instanceID
+    });
+
+    if (!isUpdated) {
+      // 分数没超过该角色今日记录，不更新
+      return res.json({
+        code: 0,
+        message: "分数未超过当前记录，不更新",
+        data: {
+          playerName: record.playerName,
+          roleID: record.roleID,
+          instanceID: record.instanceID,
+          date: record.recordDate,
+          isUpdated: false
+        }
+      });
+    }
+
+    // 同步计入周榜与赛季榜
+    await recordPeriodBest(openid, {
+      playerName: record.playerName,
+      roleID: record.roleID,
+      instanceID: record.instanceID
+    }, today);
+
+    // 计算当前排名
+    const rank = await getPlayerRank(openid, today);
+    const roleRank = await getPlayerRank(openid, today, record.roleID);
+
+    console.log(`[${today}] 玩家 ${playerName} (角色${roleID}) ${isNew ? '创建' : '更新'}了成绩: ${instanceID}, 排名: ${rank}`);
+    
+    res.json({
       code: 0,
       message: isNew ? "成绩已记录" : "成绩已更新",
       data: {
         playerName: record.playerName,
         roleID: record.roleID,
         instanceID: record.instanceID,
-        rank: rank, // null表示未上榜
-        isOnRank: rank !== null,
+        rank: rank,
+        isOnRank: rank !== null && rank <= 100,
+        roleRank: roleRank, // 在该角色榜中的排名
         date: record.recordDate
       }
     });
 
-  } catch (error) {
-    console.error('提交排行榜失败:', error);
-    res.status(500).json({ 
-      code: 500, 
-      message: "提交成绩失败"
-    });
-  }
-});
+  } catch (error) {
+    console.error('提交排行榜失败:', error);
+    res.status(500).json({ 
+      code: 500, 
+      message: "提交成绩失败"
+    });
+  }
+});
+
+// 接口2：获取今日排行榜（前100名），可通过 ?date=YYYY-MM-DD 查询历史排行榜，?roleID= 查询角色榜
+app.get("/api/rank/list", async (req, res) => {
+  const openid = req.headers["x-wx-openid"];
+  const today = getGameDateString();
+  const { date = today } = req.query;
+  const roleID = parseRoleID(req);
+
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || date > today) {
+    return res.status(400).json({ 
+      code: 400, 
+      message: "日期无效，格式应为 YYYY-MM-DD 且不能晚于今日" 
+    });
+  }
+  if (roleID === undefined) {
+    return res.status(400).json({ 
+      code: 400, 
+      message: "roleID 必须为整数" 
+    });
+  }
+
+  try {
+    // 往日排行榜读取归档；尚未归档（零点清理前）时仍读取明细
+    let rankList = date < today ? await getArchivedRank(date) : null;
+    if (rankList) {
+      rankList = rankList
+        .filter(item => roleID === null ? item.isBest : item.roleID === roleID)
+        .slice(0, 100);
+    } else {
+      rankList = await DailyRank.findAll({
+        where: getRankBoardWhere(date, roleID),
+        order: [
+          ['instanceID', 'DESC'],
+          ['createdAt', 'ASC'], // 同分按创建时间排序
+          ['id', 'ASC']
+        ],
+        limit: 100
+      });
+    }
+
+    // 处理数据
+    const processedList = rankList.map((item, index) => ({
+      rank: index + 1,
+      playerName: item.playerName,
+      roleID: item.roleID,
+      instanceID: item.instanceID,
+      isSelf: openid && item.openid === openid
+    }));
+
+    // 计算当前玩家排名
+    let myRank = null;
+    let myScore = null;
+    let myRoleID = null;
+    if (openid) {
+      const playerIndex = rankList.findIndex(item => item.openid === openid);
+      if (playerIndex !== -1) {
+        myRank = playerIndex + 1;
+        myScore = rankList[playerIndex].instanceID;
+        myRoleID = rankList[playerIndex].roleID;
+      }
+    }
+
+    res.json({
+      code: 0,
+      message: "获取排行榜成功",
+      data: {
+        list: processedList,
+        myRank: myRank, // null表示未上榜
+        myScore: myScore,
+        myRoleID: myRoleID,
+        roleID: roleID, // null表示全服榜
+        date: date
+      }
+    });
+
+  } catch (error) {
+    console.error('获取排行榜失败:', error);
+    res.status(500).json({ 
+      code: 500, 
+      message: "获取排行榜失败"
+    });
+  }
+});
+
+// 接口3：获取玩家自己数据，可通过 ?roleID= 查询在角色榜中的排名
+app.get("/api/rank/my", async (req, res) => {
+  const openid = req.headers["x-wx-openid"];
+  const today = getGameDateString();
+  const roleID = parseRoleID(req);
+
+  if (!openid) {
+    return res.status(401).json({ 
+      code: 401, 
+      message: "未获取到用户身份" 
+    });
+  }
+  if (roleID === undefined) {
+    return res.status(400).json({ 
+      code: 400, 
+      message: "roleID 必须为整数" 
+    });
+  }
+
+  try {
+    // 获取玩家今日记录：全服榜为各角色中的最好成绩，角色榜为该角色的成绩
+    const playerRecord = await DailyRank.findOne({
+      where: { ...getRankBoardWhere(today, roleID), openid }
+    });
+
+    if (!playerRecord) {
+      // 玩家今日未上榜
+      return res.json({
+        code: 0,
+        data: {
+          onRank: false,
+          message: roleID === null ? "今日未上榜" : "今日未使用该角色上榜",
+          date: today
+        }
+      });
+    }
+
+    // 计算精确排名与百分位
+    const rank = await getPlayerRank(openid, today, roleID);
+    const totalPlayers = await DailyRank.count({
+      where: getRankBoardWhere(today, roleID)
+    });
+    const onRank = rank <= 100;
+
+    res.json({
+      code: 0,
+      data: {
+        onRank: onRank,
+        rank: rank,
+        totalPlayers: totalPlayers,
+        percentile: getRankPercentile(rank, totalPlayers), // 击败玩家的百分比
+        score: playerRecord.instanceID,
+        playerName: playerRecord.playerName,
+        roleID: playerRecord.roleID,
+        message: onRank ? undefined : "未进入前100名",
+        date: today
+      }
+    });
+
+  } catch (error) {
+    console.error('查询个人排名失败:', error);
+    res.status(500).json({ 
+      code: 500, 
+      message: "查询失败"
+    });
+  }
+});
+
+// 接口4：获取玩家在今日排行榜上下相邻的玩家，?count= 为上下各取的人数（默认5，最多20），?roleID= 查询角色榜
+app.get("/api/rank/around", async (req, res) => {
+  const openid = req.headers["x-wx-openid"];
+  const today = getGameDateString();
+  const roleID = parseRoleID(req);
+  const count = req.query.count === undefined ? 5 : Number(req.query.count);
+
+  if (!openid) {
+    return res.status(401).json({ 
+      code: 401, 
+      message: "未获取到用户身份" 
+    });
+  }
+  if (roleID === undefined) {
+    return res.status(400).json({ 
+      code: 400, 
+      message: "roleID 必须为整数" 
+    });
+  }
+  if (!Number.isInteger(count) || count < 1 || count > 20) {
+    return res.status(400).json({ 
+      code: 400, 
+      message: "count 必须为 1-20 的整数" 
+    });
+  }
+
+  try {
+    const where = getRankBoardWhere(today, roleID);
+
+    const playerRecord = await DailyRank.findOne({
+      where: { ...where, openid }
+    });
+
+    if (!playerRecord) {
+      return res.json({
+        code: 0,
+        data: {
+          onRank: false,
+          list: [],
+          message: roleID === null ? "今日未上榜" : "今日未使用该角色上榜",
+          date: today
+        }
+      });
+    }
+
+    const rank = await getPlayerRank(openid, today, roleID);
+    const score = playerRecord.instanceID;
+    const { createdAt, id } = playerRecord;
 
-// 接口2：获取今日排行榜（前100名）
-app.get("/api/rank/list", async (req, res) => {
-  const openid = req.headers["x-wx-openid"];
-  const beijingDateToday = getBeijingDateString();
+    // 排在玩家前面的记录，按离玩家由近到远取；排序与 getPlayerRank 一致，同分同时刻的按记录 ID
+    const above = await DailyRank.findAll({
+      where: {
+        ...where,
+        [Op.or]: [
+          { instanceID: { [Op.gt]: score } },
+          { instanceID: score, createdAt: { [Op.lt]: createdAt } },
+          { instanceID: score, createdAt, id: { [Op.lt]: id } }
+        ]
+      },
+      order: [
+        ['instanceID', 'ASC'],
+        ['createdAt', 'DESC'],
+        ['id', 'DESC']
+      ],
+      limit: count
+    });
 
-  try {
-    // 获取今日排行榜前100名
-    const rankList = await DailyRank.findAll({
-      where: { 
-        recordDate: beijingDateToday
+    // 排在玩家后面的记录
+    const below = await DailyRank.findAll({
+      where: {
+        ...where,
+        [Op.or]: [
+          { instanceID: { [Op.lt]: score } },
+          { instanceID: score, createdAt: { [Op.gt]: createdAt } },
+          { instanceID: score, createdAt, id: { [Op.gt]: id } }
+        ]
       },
       order: [
         ['instanceID', 'DESC'],
-        ['createdAt', 'ASC'] // 同分按创建时间排序
+        ['createdAt', 'ASC'],
+        ['id', 'ASC']
       ],
-      limit: 100
+      limit: count
     });
 
-    // 处理数据
-    const processedList = rankList.map((item, index) => ({
-      rank: index + 1,
+    const firstRank = rank - above.length;
+    const list = [...above.reverse(), playerRecord, ...below].map((item, index) => ({
+      rank: firstRank + index,
       playerName: item.playerName,
       roleID: item.roleID,
       instanceID: item.instanceID,
-      isSelf: openid && item.openid === openid
+      isSelf: item.openid === openid
     }));
 
-    // 计算当前玩家排名
-    let myRank = null;
-    let myScore = null;
-    let myRoleID = null;
-    if (openid) {
-      const playerIndex = rankList.findIndex(item => item.openid === openid);
-      if (playerIndex !== -1) {
-        myRank = playerIndex + 1;
-        myScore = rankList[playerIndex].instanceID;
-        myRoleID = rankList[playerIndex].roleID;
-      }
-    }
-
     res.json({
       code: 0,
-      message: "获取排行榜成功",
+      message: "获取附近排名成功",
       data: {
-        list: processedList,
-        myRank: myRank, // null表示未上榜
-        myScore: myScore,
-        myRoleID: myRoleID,
-        date: beijingDateToday
+        onRank: true,
+        list: list,
+        myRank: rank,
+        myScore: score,
+        roleID: roleID, // null表示全服榜
+        date: today
       }
     });
 
   } catch (error) {
-    console.error('获取排行榜失败:', error);
+    console.error('获取附近排名失败:', error);
     res.status(500).json({ 
       code: 500, 
-      message: "获取排行榜失败"
+      message: "获取附近排名失败"
     });
   }
 });
 
-// 接口3：获取玩家自己数据
-app.get("/api/rank/my", async (req, res) => {
+// 接口5：好友排行榜，范围为自己、自己邀请的玩家以及邀请自己的玩家，按今日成绩排名
+app.get("/api/rank/friends", async (req, res) => {
   const openid = req.headers["x-wx-openid"];
-  const beijingDateToday = getBeijingDateString();
+  const today = getGameDateString();
 
   if (!openid) {
     return res.status(401).json({ 
@@ -564,79 +2488,61 @@ app.get("/api/rank/my", async (req, res) => {
   }
 
   try {
-    // 获取玩家今日记录
-    const playerRecord = await DailyRank.findOne({
-      where: { 
-        openid: openid,
-        recordDate: beijingDateToday 
-      }
-    });
+    const friendIds = await getInviteFriendIds(openid);
 
-    if (!playerRecord) {
-      // 玩家今日未上榜
-      return res.json({
-        code: 0,
-        data: {
-          onRank: false,
-          message: "今日未上榜",
-          date: beijingDateToday
-        }
-      });
-    }
+    const rankList = await DailyRank.findAll({
+      where: {
+        ...getRankBoardWhere(today),
+        openid: { [Op.in]: [openid, ...friendIds] }
+      },
+      order: [
+        ['instanceID', 'DESC'],
+        ['createdAt', 'ASC'],
+        ['id', 'ASC']
+      ]
+    });
 
-    // 计算排名
-    const rank = await getPlayerRank(openid, beijingDateToday);
-    
-    if (rank === null) {
-      // 不在前100名内
-      return res.json({
-        code: 0,
-        data: {
-          onRank: false,
-          score: playerRecord.instanceID,
-          playerName: playerRecord.playerName,
-          roleID: playerRecord.roleID,
-          message: "未进入前100名",
-          date: beijingDateToday
-        }
-      });
-    }
+    const playerIndex = rankList.findIndex(item => item.openid === openid);
 
-    // 返回上榜数据
     res.json({
       code: 0,
+      message: "获取好友排行榜成功",
       data: {
-        onRank: true,
-        rank: rank,
-        score: playerRecord.instanceID,
-        playerName: playerRecord.playerName,
-        roleID: playerRecord.roleID,
-        date: beijingDateToday
+        list: rankList.map((item, index) => ({
+          rank: index + 1,
+          playerName: item.playerName,
+          roleID: item.roleID,
+          instanceID: item.instanceID,
+          isSelf: item.openid === openid
+        })),
+        myRank: playerIndex !== -1 ? playerIndex + 1 : null, // null表示今日未上榜
+        friendCount: friendIds.length,
+        date: today
       }
     });
 
   } catch (error) {
-    console.error('查询个人排名失败:', error);
+    console.error('获取好友排行榜失败:', error);
     res.status(500).json({ 
       code: 500, 
-      message: "查询失败"
+      message: "获取好友排行榜失败"
     });
   }
 });
 
 // 新增接口：获取排行榜统计信息（调试用）
 app.get("/api/rank/stats", async (req, res) => {
-  const beijingDateToday = getBeijingDateString();
+  const today = getGameDateString();
   
   try {
     // 获取今日记录总数
     const totalCount = await DailyRank.count({
-      where: { recordDate: beijingDateToday }
+      where: getRankBoardWhere(today)
     });
     
     // 获取前100名的最低分数
     const rankList = await DailyRank.findAll({
-      where: { recordDate: beijingDateToday },
+      where: getRankBoardWhere(today),
       order: [['instanceID', 'DESC']],
       limit: 100
     });
@@ -646,7 +2552,7 @@ app.get("/api/rank/stats", async (req, res) => {
     res.json({
       code: 0,
       data: {
-        date: beijingDateToday,
+        date: today,
         totalPlayers: totalCount,
         top100MinScore: minScoreInTop100,
         top100Count: Math.min(100, totalCount)
@@ -661,20 +2567,392 @@ app.get("/api/rank/stats", async (req, res) => {
   }
 });
 
+// 接口6：查询排行榜结算奖励（待领取及最近已领取）
+app.get("/api/rank/rewards", async (req, res) => {
+  const openid = req.headers["x-wx-openid"];
+
+  if (!openid) {
+    return res.status(401).json({ 
+      code: 401, 
+      message: "未获取到用户身份" 
+    });
+  }
+
+  try {
+    const rewards = await RankReward.findAll({
+      where: { openid },
+      order: [['id', 'DESC']],
+      limit: 30
+    });
+
+    res.json({
+      code: 0,
+      data: {
+        list: rewards.map(item => ({
+          id: item.id,
+          date: item.recordDate,
+          rank: item.rank,
+          reward: JSON.parse(item.reward),
+          status: item.status,
+          claimedAt: item.claimedAt
+        })),
+        pendingCount: rewards.filter(item => item.status === 'pending').length
+      }
+    });
+  } catch (error) {
+    console.error('查询排行榜奖励失败:', error);
+    res.status(500).json({ 
+      code: 500, 
+      message: "查询失败"
+    });
+  }
+});
+
+// 接口7：领取排行榜结算奖励，传 rewardId 领取单条，不传则领取全部待领取奖励
+app.post("/api/rank/rewards/claim", async (req, res) => {
+  const openid = req.headers["x-wx-openid"];
+  const { rewardId } = req.body;
+
+  if (!openid) {
+    return res.status(401).json({ 
+      code: 401, 
+      message: "未获取到用户身份" 
+    });
+  }
+  if (rewardId !== undefined && !Number.isInteger(rewardId)) {
+    return res.status(400).json({ 
+      code: 400, 
+      message: "rewardId 必须为整数" 
+    });
+  }
+
+  try {
+    const pending = await RankReward.findAll({
+      where: rewardId === undefined
+        ? { openid, status: 'pending' }
+        : { id: rewardId, openid, status: 'pending' },
+      attributes: ['id'],
+      order: [['id', 'ASC']]
+    });
+
+    if (pending.length === 0) {
+      return res.json({
+        code: 3002,
+        message: "没有可领取的奖励"
+      });
+    }
+
+    const claimed = [];
+    for (const { id } of pending) {
+      const rankReward = await claimRankReward(openid, id);
+      if (rankReward) {
+        claimed.push(rankReward);
+      }
+    }
+
+    console.log(`用户 ${openid} 领取了 ${claimed.length} 份排行榜奖励`);
+    res.json({
+      code: 0,
+      message: "领取成功",
+      data: {
+        list: claimed.map(item => ({
+          id: item.id,
+          date: item.recordDate,
+          rank: item.rank,
+          reward: JSON.parse(item.reward)
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('领取排行榜奖励失败:', error);
+    res.status(500).json({ 
+      code: 500, 
+      message: "领取失败"
+    });
+  }
+});
+
+// 运营接口：查看被拒绝的成绩提交，可按 ?openid= 筛选
+app.get("/api/admin/rank/rejections", requireAdmin, async (req, res) => {
+  const { openid } = req.query;
+  const limit = Math.min(Number(req.query.limit) || 50, 500);
+
+  try {
+    const rejections = await RankRejection.findAll({
+      where: openid ? { openid } : {},
+      order: [['id', 'DESC']],
+      limit
+    });
+
+    res.json({
+      code: 0,
+      data: {
+        list: rejections.map(item => ({
+          id: item.id,
+          openid: item.openid,
+          runToken: item.runToken,
+          instanceID: item.instanceID,
+          reason: item.reason,
+          detail: item.detail ? JSON.parse(item.detail) : null,
+          createdAt: item.createdAt
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('获取可疑成绩记录失败:', error);
+    res.status(500).json({ 
+      code: 500, 
+      message: "获取失败"
+    });
+  }
+});
+
+// 运营接口：查看定时任务最近一次执行情况与租约状态
+app.get("/api/admin/jobs", requireAdmin, async (req, res) => {
+  try {
+    const jobs = await ScheduledJob.findAll({ order: [['name', 'ASC']] });
+
+    res.json({
+      code: 0,
+      data: {
+        list: jobs.map(item => ({
+          name: item.name,
+          lastRunKey: item.lastRunKey,
+          lastRunAt: item.lastRunAt,
+          lastStatus: item.lastStatus,
+          lastError: item.lastError,
+          lockedBy: item.lockedBy,
+          lockedUntil: item.lockedUntil
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('获取定时任务状态失败:', error);
+    res.status(500).json({ 
+      code: 500, 
+      message: "获取失败"
+    });
+  }
+});
+
+// ============ 周榜/赛季榜接口 ============
+// 与每日排行榜接口一一对应：/api/rank/weekly/* 与 /api/rank/season/*
+// 默认查询当前周期，可通过 ?period= 查询往期（周榜为当周周一日期，赛季榜为赛季 ID）
+
+/**
+ * 解析请求对应的周期，无效或当前无进行中的赛季时返回 null
+ */
+function resolveRankPeriod(boardType, req) {
+  const { period } = req.query;
+  return period
+    ? findRankPeriod(boardType, period)
+    : getRankPeriod(boardType, getGameDateString());
+}
+
+/**
+ * 计算玩家在周期榜中的名次（分数降序，同分先达成者在前），未参与时返回 null
+ */
+async function getPeriodPlayerRank(boardType, periodKey, playerRecord) {
+  const higherCount = await PeriodRank.count({
+    where: {
+      boardType,
+      periodKey,
+      [Op.or]: [
+        { instanceID: { [Op.gt]: playerRecord.instanceID } },
+        {
+          instanceID: playerRecord.instanceID,
+          achievedAt: { [Op.lt]: playerRecord.achievedAt }
+        }
+      ]
+    }
+  });
+  return higherCount + 1;
+}
+
+function registerPeriodRankRoutes(boardType, boardName) {
+  // 获取周期榜前100名
+  app.get(`/api/rank/${boardType}/list`, async (req, res) => {
+    const openid = req.headers["x-wx-openid"];
+
+    try {
+      const period = resolveRankPeriod(boardType, req);
+      if (!period) {
+        return res.status(404).json({ 
+          code: 404, 
+          message: `${boardName}周期不存在` 
+        });
+      }
+
+      const rankList = await PeriodRank.findAll({
+        where: { boardType, periodKey: period.periodKey },
+        order: [
+          ['instanceID', 'DESC'],
+          ['achievedAt', 'ASC']
+        ],
+        limit: 100
+      });
+
+      const playerIndex = openid ? rankList.findIndex(item => item.openid === openid) : -1;
+
+      res.json({
+        code: 0,
+        message: `获取${boardName}成功`,
+        data: {
+          list: rankList.map((item, index) => ({
+            rank: index + 1,
+            playerName: item.playerName,
+            roleID: item.roleID,
+            instanceID: item.instanceID,
+            isSelf: openid && item.openid === openid
+          })),
+          myRank: playerIndex !== -1 ? playerIndex + 1 : null,
+          myScore: playerIndex !== -1 ? rankList[playerIndex].instanceID : null,
+          myRoleID: playerIndex !== -1 ? rankList[playerIndex].roleID : null,
+          ...period
+        }
+      });
+    } catch (error) {
+      console.error(`获取${boardName}失败:`, error);
+      res.status(500).json({ 
+        code: 500, 
+        message: `获取${boardName}失败`
+      });
+    }
+  });
+
+  // 获取玩家自己在周期榜中的数据
+  app.get(`/api/rank/${boardType}/my`, async (req, res) => {
+    const openid = req.headers["x-wx-openid"];
+
+    if (!openid) {
+      return res.status(401).json({ 
+        code: 401, 
+        message: "未获取到用户身份" 
+      });
+    }
+
+    try {
+      const period = resolveRankPeriod(boardType, req);
+      if (!period) {
+        return res.status(404).json({ 
+          code: 404, 
+          message: `${boardName}周期不存在` 
+        });
+      }
+
+      const playerRecord = await PeriodRank.findOne({
+        where: { boardType, periodKey: period.periodKey, openid }
+      });
+
+      if (!playerRecord) {
+        return res.json({
+          code: 0,
+          data: {
+            onRank: false,
+            message: `本期${boardName}未上榜`,
+            ...period
+          }
+        });
+      }
+
+      const rank = await getPeriodPlayerRank(boardType, period.periodKey, playerRecord);
+      const onRank = rank <= 100;
+
+      res.json({
+        code: 0,
+        data: {
+          onRank,
+          rank: onRank ? rank : null,
+          score: playerRecord.instanceID,
+          playerName: playerRecord.playerName,
+          roleID: playerRecord.roleID,
+          message: onRank ? undefined : "未进入前100名",
+          ...period
+        }
+      });
+    } catch (error) {
+      console.error(`查询${boardName}个人排名失败:`, error);
+      res.status(500).json({ 
+        code: 500, 
+        message: "查询失败"
+      });
+    }
+  });
+
+  // 获取周期榜统计信息
+  app.get(`/api/rank/${boardType}/stats`, async (req, res) => {
+    try {
+      const period = resolveRankPeriod(boardType, req);
+      if (!period) {
+        return res.status(404).json({ 
+          code: 404, 
+          message: `${boardName}周期不存在` 
+        });
+      }
+
+      const where = { boardType, periodKey: period.periodKey };
+      const totalCount = await PeriodRank.count({ where });
+
+      const rankList = await PeriodRank.findAll({
+        where,
+        attributes: ['instanceID'],
+        order: [['instanceID', 'DESC']],
+        limit: 100
+      });
+
+      res.json({
+        code: 0,
+        data: {
+          ...period,
+          totalPlayers: totalCount,
+          top100MinScore: rankList.length > 0 ? rankList[rankList.length - 1].instanceID : 0,
+          top100Count: Math.min(100, totalCount)
+        }
+      });
+    } catch (error) {
+      console.error(`获取${boardName}统计失败:`, error);
+      res.status(500).json({ 
+        code: 500, 
+        message: "获取统计失败"
+      });
+    }
+  });
+}
+
+registerPeriodRankRoutes('weekly', '周榜');
+registerPeriodRankRoutes('season', '赛季榜');
+
 // ============ 自定义接口 END ============
 
 const port = process.env.PORT || 80;
 
 async function bootstrap() {
-  await initDB();
+  if (config.devMode) {
+    console.warn("已开启本地开发模式：用户身份可由 x-dev-openid 请求头模拟，切勿用于线上环境");
+  }
+
+  try {
+    await initDB();
+  } catch (error) {
+    console.error("数据库迁移失败，启动中止:", error);
+    process.exit(1);
+  }
 
-  // 设置每日凌晨的清理任务
-  setupDailyCleanup();
+  // 启动定时任务调度（每日结算与清理）
+  startScheduler();
 
   app.listen(port, () => {
     console.log("启动成功，端口:", port);
-    console.log("当前北京时间:", getBeijingDateString());
+    console.log(`当前游戏日: ${getGameDateString()}（${config.gameTimezone}，每日 ${config.dayResetHour} 点切换）`);
   });
 }
 
-bootstrap();
\ No newline at end of file
+// 直接运行时启动服务；被测试等模块引用时只导出 app，不监听端口也不启动定时任务
+if (require.main === module) {
+  bootstrap();
+}
+
+module.exports = {
+  app,
+  cleanupOldRanks
+};
\ No newline at end of file
@@ -0,0 +1,219 @@
+// ============ 存档局部更新：JSON Merge Patch (RFC 7396) 与 JSON Patch (RFC 6902) ============
+// 所有操作都作用在文档副本上，任一操作失败即抛出 PatchError，原文档保持不变
+
+class PatchError extends Error {
+  constructor(message, errors = null) {
+    super(message);
+    this.name = 'PatchError';
+    // 补丁结果未通过存档校验时的字段错误列表
+    this.errors = errors;
+  }
+}
+
+// 禁止通过补丁写入的键，防止原型污染
+const FORBIDDEN_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function deepEqual(a, b) {
+  if (a === b) return true;
+  if (Array.isArray(a)) {
+    return Array.isArray(b) && a.length === b.length && a.every((item, i) => deepEqual(item, b[i]));
+  }
+  if (isObject(a) && isObject(b)) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length &&
+      keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && deepEqual(a[key], b[key]));
+  }
+  return false;
+}
+
+function checkKey(key) {
+  if (FORBIDDEN_KEYS.includes(key)) {
+    throw new PatchError(`不允许修改字段 ${key}`);
+  }
+}
+
+/**
+ * 应用 JSON Merge Patch，null 表示删除字段
+ */
+function applyMergePatch(target, patch) {
+  if (!isObject(patch)) {
+    return clone(patch);
+  }
+
+  const result = isObject(target) ? clone(target) : {};
+  for (const key of Object.keys(patch)) {
+    checkKey(key);
+    if (patch[key] === null) {
+      delete result[key];
+    } else {
+      result[key] = applyMergePatch(result[key], patch[key]);
+    }
+  }
+  return result;
+}
+
+/**
+ * 解析 JSON Pointer（RFC 6901）为路径片段
+ */
+function parsePointer(pointer) {
+  if (typeof pointer !== 'string' || (pointer !== '' && pointer[0] !== '/')) {
+    throw new PatchError(`无效的路径: ${pointer}`);
+  }
+  if (pointer === '') {
+    return [];
+  }
+  return pointer.slice(1).split('/').map(token => {
+    const key = token.replace(/~1/g, '/').replace(/~0/g, '~');
+    checkKey(key);
+    return key;
+  });
+}
+
+function parseIndex(array, token, pointer, allowEnd) {
+  if (!/^(0|[1-9][0-9]*)$/.test(token)) {
+    throw new PatchError(`无效的数组下标: ${pointer}`);
+  }
+  const index = Number(token);
+  if (index > array.length || (!allowEnd && index === array.length)) {
+    throw new PatchError(`数组下标越界: ${pointer}`);
+  }
+  return index;
+}
+
+function resolve(doc, tokens, pointer) {
+  let current = doc;
+  for (const token of tokens) {
+    if (Array.isArray(current)) {
+      current = current[parseIndex(current, token, pointer, false)];
+    } else if (isObject(current) && Object.prototype.hasOwnProperty.call(current, token)) {
+      current = current[token];
+    } else {
+      throw new PatchError(`路径不存在: ${pointer}`);
+    }
+  }
+  return current;
+}
+
+function resolveParent(doc, tokens, pointer) {
+  const parent = resolve(doc, tokens.slice(0, -1), pointer);
+  if (!Array.isArray(parent) && !isObject(parent)) {
+    throw new PatchError(`路径不存在: ${pointer}`);
+  }
+  return { parent, key: tokens[tokens.length - 1] };
+}
+
+function addValue(doc, pointer, value) {
+  const tokens = parsePointer(pointer);
+  if (tokens.length === 0) {
+    return value;
+  }
+  const { parent, key } = resolveParent(doc, tokens, pointer);
+  if (Array.isArray(parent)) {
+    if (key === '-') {
+      parent.push(value);
+    } else {
+      parent.splice(parseIndex(parent, key, pointer, true), 0, value);
+    }
+  } else {
+    parent[key] = value;
+  }
+  return doc;
+}
+
+function removeValue(doc, pointer) {
+  const tokens = parsePointer(pointer);
+  if (tokens.length === 0) {
+    throw new PatchError('不能删除整个存档');
+  }
+  const { parent, key } = resolveParent(doc, tokens, pointer);
+  if (Array.isArray(parent)) {
+    parent.splice(parseIndex(parent, key, pointer, false), 1);
+  } else {
+    if (!Object.prototype.hasOwnProperty.call(parent, key)) {
+      throw new PatchError(`路径不存在: ${pointer}`);
+    }
+    delete parent[key];
+  }
+  return doc;
+}
+
+function requireValue(operation, index) {
+  if (!Object.prototype.hasOwnProperty.call(operation, 'value')) {
+    throw new PatchError(`第 ${index + 1} 个操作缺少 value`);
+  }
+  return clone(operation.value);
+}
+
+/**
+ * 按顺序应用 JSON Patch 操作，返回新文档
+ */
+function applyJsonPatch(document, operations) {
+  if (!Array.isArray(operations)) {
+    throw new PatchError('operations 必须为数组');
+  }
+
+  let doc = clone(document);
+  operations.forEach((operation, index) => {
+    if (!isObject(operation)) {
+      throw new PatchError(`第 ${index + 1} 个操作无效`);
+    }
+    const { op, path, from } = operation;
+
+    switch (op) {
+      case 'add':
+        doc = addValue(doc, path, requireValue(operation, index));
+        break;
+      case 'remove':
+        doc = removeValue(doc, path);
+        break;
+      case 'replace': {
+        const value = requireValue(operation, index);
+        const tokens = parsePointer(path);
+        if (tokens.length === 0) {
+          doc = value;
+          break;
+        }
+        resolve(doc, tokens, path);
+        const { parent, key } = resolveParent(doc, tokens, path);
+        parent[Array.isArray(parent) ? parseIndex(parent, key, path, false) : key] = value;
+        break;
+      }
+      case 'move': {
+        if (path === from || (typeof path === 'string' && path.startsWith(`${from}/`))) {
+          if (path !== from) {
+            throw new PatchError(`不能移动到自身的子路径: ${path}`);
+          }
+          break;
+        }
+        const value = resolve(doc, parsePointer(from), from);
+        doc = addValue(removeValue(doc, from), path, value);
+        break;
+      }
+      case 'copy':
+        doc = addValue(doc, path, clone(resolve(doc, parsePointer(from), from)));
+        break;
+      case 'test':
+        if (!deepEqual(resolve(doc, parsePointer(path), path), requireValue(operation, index))) {
+          throw new PatchError(`校验失败: ${path}`);
+        }
+        break;
+      default:
+        throw new PatchError(`不支持的操作: ${op}`);
+    }
+  });
+  return doc;
+}
+
+module.exports = {
+  PatchError,
+  applyMergePatch,
+  applyJsonPatch
+};
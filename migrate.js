@@ -0,0 +1,10 @@
+// 数据库迁移命令行
+// npm run migrate -- up              执行全部未执行的迁移
+// npm run migrate -- down            回滚最近一次迁移
+// npm run migrate -- pending         查看未执行的迁移
+// npm run migrate -- executed        查看已执行的迁移
+const { migrator, sequelize } = require("./db");
+
+migrator.runAsCLI().then((success) => {
+  return sequelize.close().then(() => process.exit(success ? 0 : 1));
+});
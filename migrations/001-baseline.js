@@ -0,0 +1,89 @@
+const { DataTypes } = require("sequelize");
+
+// ============ 初始表结构 ============
+// 与最初上线版本 sync({ alter: true }) 建出的表结构一致，之后的改动见后续迁移
+// 已上线的数据库中这些表已存在，只创建缺失的表，不修改已有表
+
+const id = {
+  type: DataTypes.INTEGER,
+  primaryKey: true,
+  autoIncrement: true,
+  allowNull: false,
+};
+const createdAt = { type: DataTypes.DATE, allowNull: false };
+const updatedAt = { type: DataTypes.DATE, allowNull: false };
+
+const tables = [
+  {
+    name: "Counters",
+    attributes: {
+      id,
+      count: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 1 },
+      createdAt,
+      updatedAt,
+    },
+  },
+  {
+    name: "GameSaves",
+    attributes: {
+      openid: { type: DataTypes.STRING, allowNull: false, primaryKey: true, unique: true },
+      gameData: { type: DataTypes.TEXT, allowNull: false, defaultValue: '{}' },
+      createdAt,
+      updatedAt,
+    },
+  },
+  {
+    name: "ShareInvites",
+    attributes: {
+      id,
+      inviterOpenId: { type: DataTypes.STRING, allowNull: false },
+      inviteeOpenId: { type: DataTypes.STRING, allowNull: false, unique: true },
+      status: { type: DataTypes.STRING, allowNull: false, defaultValue: 'completed' },
+      extraInfo: { type: DataTypes.TEXT, allowNull: true },
+      createdAt,
+      updatedAt,
+    },
+    indexes: [
+      { name: 'share_invites_inviter_open_id', fields: ['inviterOpenId'] },
+      { name: 'share_invites_created_at', fields: ['createdAt'] }
+    ],
+  },
+  {
+    name: "DailyRanks",
+    attributes: {
+      id,
+      playerName: { type: DataTypes.STRING(50), allowNull: false },
+      roleID: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 1 },
+      instanceID: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+      openid: { type: DataTypes.STRING(100), allowNull: false },
+      recordDate: { type: DataTypes.STRING(10), allowNull: false, comment: '游戏日 (YYYY-MM-DD)' },
+      createdAt,
+    },
+    comment: '每日排行榜，只保留前100名',
+    indexes: [
+      { name: 'idx_date_score', fields: ['recordDate', { name: 'instanceID', order: 'DESC' }] },
+      { name: 'idx_user_date', fields: ['openid', 'recordDate'], unique: true },
+      { name: 'idx_date_created', fields: ['recordDate', 'instanceID', 'createdAt'] }
+    ],
+  },
+];
+
+module.exports = {
+  async up({ context: queryInterface }) {
+    for (const table of tables) {
+      if (await queryInterface.tableExists(table.name)) {
+        continue;
+      }
+      await queryInterface.createTable(table.name, table.attributes, { comment: table.comment });
+      for (const index of table.indexes || []) {
+        await queryInterface.addIndex(table.name, index);
+      }
+    }
+  },
+
+  async down({ context: queryInterface }) {
+    for (const table of [...tables].reverse()) {
+      await queryInterface.dropTable(table.name);
+    }
+  },
+};
@@ -0,0 +1,271 @@
+const { DataTypes } = require("sequelize");
+
+// ============ 引入迁移前的表结构改动 ============
+// 初始版本之后、引入迁移之前各版本通过 sync({ alter: true }) 增加的字段、索引与表
+// 数据库可能停在其中任意一个版本，因此每项改动都先检查是否已存在
+
+const id = {
+  type: DataTypes.INTEGER,
+  primaryKey: true,
+  autoIncrement: true,
+  allowNull: false,
+};
+const createdAt = { type: DataTypes.DATE, allowNull: false };
+const updatedAt = { type: DataTypes.DATE, allowNull: false };
+
+const revision = {
+  type: DataTypes.INTEGER,
+  allowNull: false,
+  defaultValue: 0,
+  comment: '存档版本号，每次写入自增，用于乐观并发控制'
+};
+
+const shareInviteIndexes = [
+  { name: 'share_invites_inviter_open_id', fields: ['inviterOpenId'] },
+  { name: 'share_invites_created_at', fields: ['createdAt'] }
+];
+
+const dailyRankRoleIndex = {
+  name: 'idx_date_role_score',
+  fields: ['recordDate', 'roleID', { name: 'instanceID', order: 'DESC' }]
+};
+
+const tables = [
+  {
+    name: "GameSaveHistories",
+    attributes: {
+      id,
+      openid: { type: DataTypes.STRING(100), allowNull: false },
+      revision: { type: DataTypes.INTEGER, allowNull: false },
+      gameData: { type: DataTypes.TEXT, allowNull: false },
+      size: { type: DataTypes.INTEGER, allowNull: false, comment: '存档字节数' },
+      source: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        defaultValue: 'client',
+        comment: '写入来源：client 客户端上传，patch 客户端局部更新，restore 运营回滚，server 服务器发放'
+      },
+      createdAt,
+    },
+    comment: '存档历史，每个玩家只保留最近 N 份',
+    indexes: [
+      { name: 'idx_openid_id', fields: ['openid', 'id'] }
+    ],
+  },
+  {
+    name: "ShareInviteAudits",
+    attributes: {
+      id,
+      action: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        comment: 'rate_limited 超出每日邀请上限被拒绝，revoke 运营撤销邀请'
+      },
+      inviterOpenId: { type: DataTypes.STRING(100), allowNull: true },
+      detail: { type: DataTypes.TEXT, allowNull: true },
+      createdAt,
+    },
+    comment: '邀请风控与运营操作记录',
+    indexes: [
+      { name: 'share_invite_audits_inviter_open_id', fields: ['inviterOpenId'] },
+      { name: 'share_invite_audits_created_at', fields: ['createdAt'] }
+    ],
+  },
+  {
+    name: "ShareCodes",
+    attributes: {
+      code: { type: DataTypes.STRING(16), primaryKey: true, allowNull: false },
+      openid: { type: DataTypes.STRING(100), allowNull: false, unique: true },
+      createdAt,
+    },
+  },
+  {
+    name: "InviteMilestoneClaims",
+    attributes: {
+      id,
+      openid: { type: DataTypes.STRING(100), allowNull: false },
+      milestone: { type: DataTypes.INTEGER, allowNull: false, comment: '里程碑要求的邀请人数' },
+      reward: { type: DataTypes.TEXT, allowNull: false },
+      createdAt,
+    },
+    comment: '邀请里程碑奖励领取记录，每个里程碑每人只能领取一次',
+    indexes: [
+      { name: 'idx_user_milestone', fields: ['openid', 'milestone'], unique: true }
+    ],
+  },
+  {
+    name: "DailyRankArchives",
+    attributes: {
+      recordDate: {
+        type: DataTypes.STRING(10),
+        primaryKey: true,
+        allowNull: false,
+        comment: '游戏日 (YYYY-MM-DD)'
+      },
+      totalPlayers: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+      topList: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+        comment: '当日最终全服及各角色前100名（按名次排序），紧凑格式 [[openid, playerName, roleID, instanceID, isBest], ...]'
+      },
+      createdAt,
+    },
+    comment: '每日排行榜最终结果归档',
+  },
+  {
+    name: "PeriodRanks",
+    attributes: {
+      id,
+      boardType: { type: DataTypes.STRING(10), allowNull: false, comment: 'weekly 周榜，season 赛季榜' },
+      periodKey: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        comment: '周榜为当周周一的游戏日，赛季榜为赛季 ID'
+      },
+      openid: { type: DataTypes.STRING(100), allowNull: false },
+      playerName: { type: DataTypes.STRING(50), allowNull: false },
+      roleID: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 1 },
+      instanceID: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+      achievedAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        comment: '取得最好成绩的时间，同分时先达成者排前'
+      },
+      createdAt,
+      updatedAt,
+    },
+    comment: '周榜与赛季榜，记录周期内每个玩家的最好成绩',
+    indexes: [
+      { name: 'idx_period_user', fields: ['boardType', 'periodKey', 'openid'], unique: true },
+      { name: 'idx_period_score', fields: ['boardType', 'periodKey', { name: 'instanceID', order: 'DESC' }, 'achievedAt'] }
+    ],
+  },
+  {
+    name: "RunSessions",
+    attributes: {
+      token: { type: DataTypes.STRING(64), primaryKey: true, allowNull: false },
+      openid: { type: DataTypes.STRING(100), allowNull: false },
+      roleID: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 1 },
+      startStage: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: '开局时服务器已知的玩家进度'
+      },
+      status: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        defaultValue: 'active',
+        comment: 'active 进行中，submitted 已提交，rejected 校验未通过'
+      },
+      submittedAt: { type: DataTypes.DATE, allowNull: true },
+      createdAt,
+    },
+    indexes: [
+      { name: 'run_sessions_openid', fields: ['openid'] },
+      { name: 'run_sessions_created_at', fields: ['createdAt'] }
+    ],
+  },
+  {
+    name: "RankRejections",
+    attributes: {
+      id,
+      openid: { type: DataTypes.STRING(100), allowNull: false },
+      runToken: { type: DataTypes.STRING(64), allowNull: true },
+      instanceID: { type: DataTypes.INTEGER, allowNull: true },
+      reason: { type: DataTypes.STRING(50), allowNull: false },
+      detail: { type: DataTypes.TEXT, allowNull: true },
+      createdAt,
+    },
+    comment: '被拒绝的成绩提交，供人工复核',
+    indexes: [
+      { name: 'rank_rejections_openid', fields: ['openid'] },
+      { name: 'rank_rejections_created_at', fields: ['createdAt'] }
+    ],
+  },
+  {
+    name: "RankRewards",
+    attributes: {
+      id,
+      recordDate: { type: DataTypes.STRING(10), allowNull: false, comment: '结算的排行榜日期 (YYYY-MM-DD)' },
+      openid: { type: DataTypes.STRING(100), allowNull: false },
+      rank: { type: DataTypes.INTEGER, allowNull: false },
+      reward: { type: DataTypes.TEXT, allowNull: false },
+      status: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        defaultValue: 'pending',
+        comment: 'pending 待领取，claimed 已领取'
+      },
+      claimedAt: { type: DataTypes.DATE, allowNull: true },
+      createdAt,
+      updatedAt,
+    },
+    comment: '每日排行榜结算奖励，每人每天最多一条，保证不会重复发放',
+    indexes: [
+      { name: 'idx_date_user', fields: ['recordDate', 'openid'], unique: true },
+      { name: 'idx_user_status', fields: ['openid', 'status'] }
+    ],
+  },
+];
+
+async function hasIndex(queryInterface, tableName, indexName) {
+  const indexes = await queryInterface.showIndex(tableName);
+  return indexes.some(index => index.name === indexName);
+}
+
+// SQLite 修改字段时会重建表并丢失原有索引，修改后补回
+async function restoreShareInviteIndexes(queryInterface) {
+  for (const index of shareInviteIndexes) {
+    if (!await hasIndex(queryInterface, "ShareInvites", index.name)) {
+      await queryInterface.addIndex("ShareInvites", index);
+    }
+  }
+}
+
+module.exports = {
+  async up({ context: queryInterface }) {
+    const gameSaveColumns = await queryInterface.describeTable("GameSaves");
+    if (!gameSaveColumns.revision) {
+      await queryInterface.addColumn("GameSaves", "revision", revision);
+    }
+
+    // 初始版本的邀请记录直接视为成功，之后新建的记录先待定，被邀请者创建存档后才算成功
+    await queryInterface.changeColumn("ShareInvites", "status", {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: 'pending',
+      comment: 'pending 被邀请者尚未创建存档，completed 邀请成功，revoked 被运营撤销'
+    });
+
+    await restoreShareInviteIndexes(queryInterface);
+
+    if (!await hasIndex(queryInterface, "DailyRanks", dailyRankRoleIndex.name)) {
+      await queryInterface.addIndex("DailyRanks", dailyRankRoleIndex);
+    }
+
+    for (const table of tables) {
+      if (await queryInterface.tableExists(table.name)) {
+        continue;
+      }
+      await queryInterface.createTable(table.name, table.attributes, { comment: table.comment });
+      for (const index of table.indexes || []) {
+        await queryInterface.addIndex(table.name, index);
+      }
+    }
+  },
+
+  async down({ context: queryInterface }) {
+    for (const table of [...tables].reverse()) {
+      await queryInterface.dropTable(table.name);
+    }
+    await queryInterface.removeIndex("DailyRanks", dailyRankRoleIndex.name);
+    await queryInterface.changeColumn("ShareInvites", "status", {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: 'completed'
+    });
+    await restoreShareInviteIndexes(queryInterface);
+    await queryInterface.removeColumn("GameSaves", "revision");
+  },
+};
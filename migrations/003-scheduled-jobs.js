@@ -0,0 +1,24 @@
+const { DataTypes } = require("sequelize");
+
+// ============ 定时任务租约表 ============
+
+module.exports = {
+  async up({ context: queryInterface }) {
+    await queryInterface.createTable("ScheduledJobs", {
+      name: { type: DataTypes.STRING(50), primaryKey: true, allowNull: false },
+      lockedBy: { type: DataTypes.STRING(100), allowNull: true, comment: '持有租约的实例标识' },
+      lockedUntil: { type: DataTypes.DATE, allowNull: true, comment: '租约到期时间，过期后其他实例可接手' },
+      lastRunKey: { type: DataTypes.STRING(20), allowNull: true, comment: '最近一次成功执行的周期，如每日任务为日期' },
+      lastRunAt: { type: DataTypes.DATE, allowNull: true },
+      lastStatus: { type: DataTypes.STRING(20), allowNull: true, comment: 'success 成功，failed 失败' },
+      lastError: { type: DataTypes.TEXT, allowNull: true },
+      updatedAt: { type: DataTypes.DATE, allowNull: false },
+    }, {
+      comment: '定时任务租约与最近执行结果'
+    });
+  },
+
+  async down({ context: queryInterface }) {
+    await queryInterface.dropTable("ScheduledJobs");
+  },
+};
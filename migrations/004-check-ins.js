@@ -0,0 +1,27 @@
+const { DataTypes } = require("sequelize");
+
+// ============ 每日签到记录表 ============
+
+module.exports = {
+  async up({ context: queryInterface }) {
+    await queryInterface.createTable("CheckIns", {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true, allowNull: false },
+      openid: { type: DataTypes.STRING(100), allowNull: false },
+      checkInDate: { type: DataTypes.STRING(10), allowNull: false, comment: '签到的游戏日 (YYYY-MM-DD)' },
+      streak: { type: DataTypes.INTEGER, allowNull: false, comment: '截至本次签到的连续签到天数' },
+      reward: { type: DataTypes.TEXT, allowNull: false },
+      createdAt: { type: DataTypes.DATE, allowNull: false },
+    }, {
+      comment: '每日签到记录，每人每个游戏日只能签到一次'
+    });
+    await queryInterface.addIndex("CheckIns", {
+      name: 'idx_user_checkin_date',
+      fields: ['openid', 'checkInDate'],
+      unique: true
+    });
+  },
+
+  async down({ context: queryInterface }) {
+    await queryInterface.dropTable("CheckIns");
+  },
+};
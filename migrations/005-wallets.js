@@ -0,0 +1,52 @@
+const { DataTypes } = require("sequelize");
+
+// ============ 钱包与金币流水表 ============
+// 已有玩家的钱包在首次访问时按存档中的金币创建，见 db.js getOrCreateWallet
+
+module.exports = {
+  async up({ context: queryInterface }) {
+    await queryInterface.createTable("Wallets", {
+      openid: { type: DataTypes.STRING(100), primaryKey: true, allowNull: false },
+      balance: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+      createdAt: { type: DataTypes.DATE, allowNull: false },
+      updatedAt: { type: DataTypes.DATE, allowNull: false },
+    }, {
+      comment: '玩家金币钱包'
+    });
+
+    await queryInterface.createTable("WalletTransactions", {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true, allowNull: false },
+      openid: { type: DataTypes.STRING(100), allowNull: false },
+      amount: { type: DataTypes.INTEGER, allowNull: false, comment: '变动金额，发放为正，消耗为负' },
+      balanceAfter: { type: DataTypes.INTEGER, allowNull: false, comment: '变动后余额' },
+      reason: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+        comment: 'init 钱包初始化，checkin 签到，invite_milestone 邀请里程碑，rank_reward 排行榜奖励，admin 运营调整，其余为客户端消耗原因'
+      },
+      idempotencyKey: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+        comment: '幂等键，同一玩家相同幂等键的变动只执行一次'
+      },
+      detail: { type: DataTypes.TEXT, allowNull: true },
+      createdAt: { type: DataTypes.DATE, allowNull: false },
+    }, {
+      comment: '金币流水，每次余额变动一条，只增不改'
+    });
+    await queryInterface.addIndex("WalletTransactions", {
+      name: 'idx_user_idempotency',
+      fields: ['openid', 'idempotencyKey'],
+      unique: true
+    });
+    await queryInterface.addIndex("WalletTransactions", {
+      name: 'idx_wallet_user_id',
+      fields: ['openid', 'id']
+    });
+  },
+
+  async down({ context: queryInterface }) {
+    await queryInterface.dropTable("WalletTransactions");
+    await queryInterface.dropTable("Wallets");
+  },
+};
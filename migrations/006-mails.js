@@ -0,0 +1,46 @@
+const { DataTypes } = require("sequelize");
+
+// ============ 邮件与邮件状态表 ============
+
+module.exports = {
+  async up({ context: queryInterface }) {
+    await queryInterface.createTable("Mails", {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true, allowNull: false },
+      openid: { type: DataTypes.STRING(100), allowNull: true, comment: '收件人，为空表示全服广播' },
+      title: { type: DataTypes.STRING(100), allowNull: false },
+      content: { type: DataTypes.TEXT, allowNull: false },
+      attachments: { type: DataTypes.TEXT, allowNull: true, comment: '附件奖励，格式见 rewards.js，为空表示没有附件' },
+      target: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        comment: '广播收件范围 { roleIDs, registeredFrom, registeredTo }，为空表示全部玩家'
+      },
+      expiresAt: { type: DataTypes.DATE, allowNull: true, comment: '过期时间，过期后不再展示也不能领取附件' },
+      createdAt: { type: DataTypes.DATE, allowNull: false },
+    }, {
+      comment: '玩家邮件与全服广播邮件'
+    });
+    await queryInterface.addIndex("Mails", { name: 'mails_openid', fields: ['openid'] });
+    await queryInterface.addIndex("Mails", { name: 'mails_created_at', fields: ['createdAt'] });
+
+    await queryInterface.createTable("MailStates", {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true, allowNull: false },
+      mailId: { type: DataTypes.INTEGER, allowNull: false },
+      openid: { type: DataTypes.STRING(100), allowNull: false },
+      readAt: { type: DataTypes.DATE, allowNull: true },
+      claimedAt: { type: DataTypes.DATE, allowNull: true, comment: '附件领取时间，每封邮件的附件每人只能领取一次' },
+      deletedAt: { type: DataTypes.DATE, allowNull: true },
+      createdAt: { type: DataTypes.DATE, allowNull: false },
+      updatedAt: { type: DataTypes.DATE, allowNull: false },
+    }, {
+      comment: '玩家邮件的已读、领取与删除状态'
+    });
+    await queryInterface.addIndex("MailStates", { name: 'idx_mail_user', fields: ['mailId', 'openid'], unique: true });
+    await queryInterface.addIndex("MailStates", { name: 'mail_states_openid', fields: ['openid'] });
+  },
+
+  async down({ context: queryInterface }) {
+    await queryInterface.dropTable("MailStates");
+    await queryInterface.dropTable("Mails");
+  },
+};
@@ -0,0 +1,38 @@
+const { DataTypes } = require("sequelize");
+
+// ============ 兑换码与兑换记录表 ============
+
+module.exports = {
+  async up({ context: queryInterface }) {
+    await queryInterface.createTable("GiftCodes", {
+      code: { type: DataTypes.STRING(32), primaryKey: true, allowNull: false, comment: '兑换码，统一为大写' },
+      batch: { type: DataTypes.STRING(50), allowNull: true, comment: '批次名称，同一次批量生成的兑换码相同，便于运营查询' },
+      reward: { type: DataTypes.TEXT, allowNull: false, comment: '兑换奖励，格式见 rewards.js' },
+      maxRedemptions: { type: DataTypes.INTEGER, allowNull: true, comment: '全服总兑换次数上限，为空表示不限' },
+      redeemedCount: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+      startDate: { type: DataTypes.STRING(10), allowNull: true, comment: '生效的首个游戏日 (YYYY-MM-DD)，为空表示立即生效' },
+      endDate: { type: DataTypes.STRING(10), allowNull: true, comment: '有效的最后一个游戏日 (YYYY-MM-DD)，为空表示长期有效' },
+      createdAt: { type: DataTypes.DATE, allowNull: false },
+      updatedAt: { type: DataTypes.DATE, allowNull: false },
+    }, {
+      comment: '运营创建的兑换码'
+    });
+    await queryInterface.addIndex("GiftCodes", { name: 'gift_codes_batch', fields: ['batch'] });
+
+    await queryInterface.createTable("GiftCodeRedemptions", {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true, allowNull: false },
+      code: { type: DataTypes.STRING(32), allowNull: false },
+      openid: { type: DataTypes.STRING(100), allowNull: false },
+      createdAt: { type: DataTypes.DATE, allowNull: false },
+    }, {
+      comment: '兑换码兑换记录，每个兑换码每人只能兑换一次'
+    });
+    await queryInterface.addIndex("GiftCodeRedemptions", { name: 'idx_code_user', fields: ['code', 'openid'], unique: true });
+    await queryInterface.addIndex("GiftCodeRedemptions", { name: 'gift_code_redemptions_openid', fields: ['openid'] });
+  },
+
+  async down({ context: queryInterface }) {
+    await queryInterface.dropTable("GiftCodeRedemptions");
+    await queryInterface.dropTable("GiftCodes");
+  },
+};
@@ -0,0 +1,36 @@
+const { DataTypes } = require("sequelize");
+
+// ============ 远程配置与公告表 ============
+
+module.exports = {
+  async up({ context: queryInterface }) {
+    await queryInterface.createTable("ConfigEntries", {
+      key: { type: DataTypes.STRING(100), primaryKey: true, allowNull: false },
+      value: { type: DataTypes.TEXT, allowNull: false, comment: '配置值（JSON）' },
+      version: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 1, comment: '配置版本号，每次修改自增' },
+      createdAt: { type: DataTypes.DATE, allowNull: false },
+      updatedAt: { type: DataTypes.DATE, allowNull: false },
+    }, {
+      comment: '下发给客户端的远程配置'
+    });
+
+    await queryInterface.createTable("Announcements", {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true, allowNull: false },
+      title: { type: DataTypes.STRING(100), allowNull: false },
+      content: { type: DataTypes.TEXT, allowNull: false },
+      priority: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0, comment: '展示优先级，越大越靠前' },
+      startAt: { type: DataTypes.DATE, allowNull: false, comment: '开始展示的时间' },
+      endAt: { type: DataTypes.DATE, allowNull: true, comment: '结束展示的时间，为空表示一直展示' },
+      createdAt: { type: DataTypes.DATE, allowNull: false },
+      updatedAt: { type: DataTypes.DATE, allowNull: false },
+    }, {
+      comment: '游戏公告，在开始与结束时间之间下发给客户端'
+    });
+    await queryInterface.addIndex("Announcements", { name: 'announcements_start_at', fields: ['startAt'] });
+  },
+
+  async down({ context: queryInterface }) {
+    await queryInterface.dropTable("Announcements");
+    await queryInterface.dropTable("ConfigEntries");
+  },
+};
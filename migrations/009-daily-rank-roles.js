@@ -0,0 +1,51 @@
+const { DataTypes } = require("sequelize");
+
+// ============ 每日排行榜按角色分别记录最好成绩 ============
+// 原先每个玩家每天只有一条记录，已有记录即为该玩家当日的最好成绩
+
+const previousIndexes = [
+  { name: 'idx_date_score', fields: ['recordDate', { name: 'instanceID', order: 'DESC' }] },
+  { name: 'idx_user_date', fields: ['openid', 'recordDate'], unique: true },
+  { name: 'idx_date_created', fields: ['recordDate', 'instanceID', 'createdAt'] },
+  { name: 'idx_date_role_score', fields: ['recordDate', 'roleID', { name: 'instanceID', order: 'DESC' }] }
+];
+
+module.exports = {
+  async up({ context: queryInterface }) {
+    await queryInterface.addColumn("DailyRanks", "isBest", {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: '是否为该玩家当日各角色中的最好成绩，全服榜只取此记录'
+    });
+    await queryInterface.bulkUpdate("DailyRanks", { isBest: true }, {});
+
+    await queryInterface.removeIndex("DailyRanks", "idx_user_date");
+    await queryInterface.addIndex("DailyRanks", {
+      name: 'idx_user_date_role',
+      fields: ['openid', 'recordDate', 'roleID'],
+      unique: true
+    });
+    await queryInterface.removeIndex("DailyRanks", "idx_date_score");
+    await queryInterface.addIndex("DailyRanks", {
+      name: 'idx_date_best_score',
+      fields: ['recordDate', 'isBest', { name: 'instanceID', order: 'DESC' }]
+    });
+  },
+
+  async down({ context: queryInterface }) {
+    // 回滚后每个玩家每天只能保留一条记录，删除非最好成绩的角色记录
+    await queryInterface.bulkDelete("DailyRanks", { isBest: false });
+    await queryInterface.removeIndex("DailyRanks", "idx_date_best_score");
+    await queryInterface.removeIndex("DailyRanks", "idx_user_date_role");
+    await queryInterface.removeColumn("DailyRanks", "isBest");
+
+    // SQLite 删除字段时会重建表并丢失原有索引，一并补回
+    const existing = (await queryInterface.showIndex("DailyRanks")).map(index => index.name);
+    for (const index of previousIndexes) {
+      if (!existing.includes(index.name)) {
+        await queryInterface.addIndex("DailyRanks", index);
+      }
+    }
+  },
+};
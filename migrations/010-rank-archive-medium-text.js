@@ -0,0 +1,23 @@
+const { DataTypes } = require("sequelize");
+
+// ============ 排行榜归档改用 MEDIUMTEXT ============
+// 归档包含全服榜及每个角色榜的前100名，角色较多时会超出 TEXT 的 65535 字节上限
+// SQLite 的 TEXT 没有长度限制，修改后仍为 TEXT
+
+module.exports = {
+  async up({ context: queryInterface }) {
+    await queryInterface.changeColumn("DailyRankArchives", "topList", {
+      type: DataTypes.TEXT('medium'),
+      allowNull: false,
+      comment: '当日最终全服及各角色前100名（按名次排序），紧凑格式 [[openid, playerName, roleID, instanceID, isBest], ...]'
+    });
+  },
+
+  async down({ context: queryInterface }) {
+    await queryInterface.changeColumn("DailyRankArchives", "topList", {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      comment: '当日最终全服及各角色前100名（按名次排序），紧凑格式 [[openid, playerName, roleID, instanceID, isBest], ...]'
+    });
+  },
+};
@@ -0,0 +1,56 @@
+const { SAVE_SCHEMA } = require("./saveSchema");
+
+// ============ 奖励发放 ============
+// 奖励格式：{ gold: 100, items: [{ id: 1, count: 2 }] }，两个字段均可省略
+
+/**
+ * 规范化奖励配置，过滤掉无效的字段
+ */
+function normalizeReward(reward) {
+  const result = {};
+  if (reward && Number.isInteger(reward.gold) && reward.gold > 0) {
+    result.gold = reward.gold;
+  }
+  if (reward && Array.isArray(reward.items)) {
+    const items = reward.items.filter(item =>
+      item && Number.isInteger(item.id) && Number.isInteger(item.count) && item.count > 0
+    );
+    if (items.length > 0) {
+      result.items = items.map(item => ({ id: item.id, count: item.count }));
+    }
+  }
+  return result;
+}
+
+/**
+ * 将奖励加到存档上，返回新的存档对象；金币与道具数量不超过存档结构规定的上限
+ */
+function applyRewardToGameData(gameData, reward) {
+  const { gold: goldSchema, items: itemsSchema } = SAVE_SCHEMA.properties;
+  const countMax = itemsSchema.items.properties.count.max;
+  const result = { ...gameData };
+
+  if (reward.gold) {
+    result.gold = Math.min((Number.isInteger(result.gold) ? result.gold : 0) + reward.gold, goldSchema.max);
+  }
+
+  if (reward.items) {
+    const items = Array.isArray(result.items) ? result.items.map(item => ({ ...item })) : [];
+    for (const { id, count } of reward.items) {
+      const existing = items.find(item => item && item.id === id);
+      if (existing) {
+        existing.count = Math.min((Number.isInteger(existing.count) ? existing.count : 0) + count, countMax);
+      } else {
+        items.push({ id, count: Math.min(count, countMax) });
+      }
+    }
+    result.items = items;
+  }
+
+  return result;
+}
+
+module.exports = {
+  normalizeReward,
+  applyRewardToGameData
+};
@@ -0,0 +1,188 @@
+const config = require("./config");
+
+// ============ 游戏存档结构定义 ============
+// 支持的类型：integer / number / string / boolean / array / object
+// 未在 properties 中声明的字段原样保留（客户端自有数据），但会剔除原型污染相关的键
+const SAVE_SCHEMA = {
+  type: 'object',
+  properties: {
+    gold: { type: 'integer', min: 0, max: 999999999, default: 100 },
+    instanceID: { type: 'integer', min: 0, max: 100000, default: 0 },
+    items: {
+      type: 'array',
+      maxItems: 500,
+      default: [],
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'integer', min: 0, required: true },
+          count: { type: 'integer', min: 0, max: 999999, default: 1 }
+        }
+      }
+    }
+  }
+};
+
+const FORBIDDEN_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return typeOf(value) === 'object';
+    default:
+      return typeof value === type;
+  }
+}
+
+const TYPE_NAMES = {
+  integer: '整数',
+  number: '数字',
+  string: '字符串',
+  boolean: '布尔值',
+  array: '数组',
+  object: '对象'
+};
+
+/**
+ * 深拷贝未声明的数据，同时剔除危险键
+ */
+function sanitizeUnknown(value) {
+  if (Array.isArray(value)) {
+    return value.map(sanitizeUnknown);
+  }
+  if (typeOf(value) === 'object') {
+    const result = {};
+    for (const key of Object.keys(value)) {
+      if (!FORBIDDEN_KEYS.includes(key)) {
+        result[key] = sanitizeUnknown(value[key]);
+      }
+    }
+    return result;
+  }
+  return value;
+}
+
+function buildDefault(schema) {
+  if (schema.type === 'object' && schema.properties && schema.default === undefined) {
+    const result = {};
+    for (const [key, propSchema] of Object.entries(schema.properties)) {
+      const value = buildDefault(propSchema);
+      if (value !== undefined) {
+        result[key] = value;
+      }
+    }
+    return result;
+  }
+  return schema.default === undefined ? undefined : JSON.parse(JSON.stringify(schema.default));
+}
+
+/**
+ * 按 schema 校验单个值，错误写入 errors，返回清洗后的值
+ */
+function validateValue(value, schema, field, errors) {
+  if (!matchesType(value, schema.type)) {
+    errors.push({ field, message: `必须为${TYPE_NAMES[schema.type]}` });
+    return undefined;
+  }
+
+  if (schema.type === 'integer' || schema.type === 'number') {
+    if (schema.min !== undefined && value < schema.min) {
+      errors.push({ field, message: `不能小于 ${schema.min}` });
+    }
+    if (schema.max !== undefined && value > schema.max) {
+      errors.push({ field, message: `不能大于 ${schema.max}` });
+    }
+    return value;
+  }
+
+  if (schema.type === 'string') {
+    const trimmed = value.trim();
+    if (schema.maxLength !== undefined && trimmed.length > schema.maxLength) {
+      errors.push({ field, message: `长度不能超过 ${schema.maxLength}` });
+    }
+    return trimmed;
+  }
+
+  if (schema.type === 'array') {
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ field, message: `元素数量不能超过 ${schema.maxItems}` });
+      return undefined;
+    }
+    if (!schema.items) {
+      return sanitizeUnknown(value);
+    }
+    return value.map((item, index) => validateValue(item, schema.items, `${field}[${index}]`, errors));
+  }
+
+  if (schema.type === 'object') {
+    const result = {};
+    const properties = schema.properties || {};
+
+    for (const key of Object.keys(value)) {
+      if (!FORBIDDEN_KEYS.includes(key) && !properties[key]) {
+        result[key] = sanitizeUnknown(value[key]);
+      }
+    }
+
+    for (const [key, propSchema] of Object.entries(properties)) {
+      const propField = field ? `${field}.${key}` : key;
+      if (value[key] === undefined || value[key] === null) {
+        if (propSchema.required) {
+          errors.push({ field: propField, message: '不能为空' });
+        } else {
+          const defaultValue = buildDefault(propSchema);
+          if (defaultValue !== undefined) {
+            result[key] = defaultValue;
+          }
+        }
+        continue;
+      }
+      result[key] = validateValue(value[key], propSchema, propField, errors);
+    }
+    return result;
+  }
+
+  return value;
+}
+
+/**
+ * 校验并清洗客户端上传的存档
+ * 返回 { valid, errors: [{ field, message }], value: 清洗后的存档 }
+ */
+function validateGameData(gameData) {
+  const errors = [];
+
+  const size = Buffer.byteLength(JSON.stringify(gameData));
+  if (size > config.saveMaxBytes) {
+    errors.push({ field: '', message: `存档大小 ${size} 字节，超过上限 ${config.saveMaxBytes} 字节` });
+    return { valid: false, errors, value: null };
+  }
+
+  const value = validateValue(gameData, SAVE_SCHEMA, '', errors);
+  return { valid: errors.length === 0, errors, value: errors.length === 0 ? value : null };
+}
+
+/**
+ * 根据存档结构生成新玩家的默认存档
+ */
+function createDefaultGameData() {
+  return buildDefault(SAVE_SCHEMA);
+}
+
+module.exports = {
+  SAVE_SCHEMA,
+  validateGameData,
+  createDefaultGameData
+};
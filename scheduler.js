@@ -0,0 +1,91 @@
+const os = require("os");
+const crypto = require("crypto");
+const { acquireJobLease, finishJobRun } = require("./db");
+
+// ============ 定时任务调度 ============
+// 每个实例每分钟检查一次到期任务，通过数据库租约保证同一周期内全集群只执行一次
+// 任务以 getRunKey() 划分周期（如每日任务返回当天日期），当前周期未成功执行过即视为到期，
+// 因此停机错过的执行会在重新启动后的首次检查时补上，执行失败则在下次检查时重试
+
+// 当前实例标识，用于记录租约持有者
+const instanceId = `${os.hostname()}-${process.pid}-${crypto.randomBytes(3).toString('hex')}`;
+
+const jobs = [];
+let timer = null;
+
+/**
+ * 注册定时任务
+ * leaseMinutes 为单次执行的最长时间，超时未结束的租约可被其他实例接手
+ */
+function registerJob({ name, getRunKey, run, leaseMinutes = 30 }) {
+  jobs.push({ name, getRunKey, run, leaseMinutes, running: false });
+}
+
+/**
+ * 执行单个任务：获取租约后运行，并记录结果
+ */
+async function runJob(job) {
+  const runKey = job.getRunKey();
+  const lease = await acquireJobLease(job.name, instanceId, runKey, job.leaseMinutes * 60 * 1000);
+  if (!lease) {
+    return false;
+  }
+
+  console.log(`[${new Date().toISOString()}] 定时任务 ${job.name} 开始执行，周期: ${runKey}`);
+  try {
+    await job.run();
+    await finishJobRun(job.name, instanceId, runKey);
+    console.log(`[${new Date().toISOString()}] 定时任务 ${job.name} 执行成功`);
+  } catch (error) {
+    console.error(`定时任务 ${job.name} 执行失败:`, error);
+    await finishJobRun(job.name, instanceId, runKey, error);
+  }
+  return true;
+}
+
+/**
+ * 检查并执行所有到期任务，返回本次实际执行的任务名
+ */
+async function runDueJobs() {
+  const executed = [];
+  for (const job of jobs) {
+    // 上一次执行尚未结束时跳过
+    if (job.running) {
+      continue;
+    }
+
+    job.running = true;
+    try {
+      if (await runJob(job)) {
+        executed.push(job.name);
+      }
+    } catch (error) {
+      console.error(`定时任务 ${job.name} 调度失败:`, error);
+    } finally {
+      job.running = false;
+    }
+  }
+  return executed;
+}
+
+/**
+ * 启动调度：立即检查一次，之后每分钟检查一次
+ */
+function startScheduler(intervalMs = 60 * 1000) {
+  console.log(`启动定时任务调度，实例: ${instanceId}`);
+  runDueJobs();
+  timer = setInterval(runDueJobs, intervalMs);
+}
+
+function stopScheduler() {
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  instanceId,
+  registerJob,
+  runDueJobs,
+  startScheduler,
+  stopScheduler
+};
@@ -0,0 +1,83 @@
+const assert = require('assert');
+const { resetDatabase, setNow, get, post } = require('./helpers');
+
+/**
+ * 将时钟拨到指定游戏日的北京时间中午
+ */
+function setGameDay(dateString) {
+  setNow(`${dateString}T04:00:00Z`);
+}
+
+describe('每日签到接口', () => {
+  beforeEach(async () => {
+    setGameDay('2026-10-19');
+    await resetDatabase();
+  });
+
+  it('首次签到为第1天并发放奖励到存档', async () => {
+    let res = await get('/api/checkin', 'u1');
+    assert.strictEqual(res.body.data.checkedIn, false);
+    assert.strictEqual(res.body.data.streak, 0);
+    assert.deepStrictEqual(res.body.data.nextReward, { gold: 10 });
+
+    res = await post('/api/checkin/claim', {}, 'u1');
+    assert.strictEqual(res.body.code, 0);
+    assert.strictEqual(res.body.data.streak, 1);
+    assert.deepStrictEqual(res.body.data.reward, { gold: 10 });
+    assert.strictEqual(res.body.data.date, '2026-10-19');
+
+    res = await get('/api/load_data', 'u1');
+    assert.strictEqual(res.body.data.gameData.gold, 110);
+
+    res = await get('/api/checkin', 'u1');
+    assert.strictEqual(res.body.data.checkedIn, true);
+    assert.strictEqual(res.body.data.streak, 1);
+    assert.deepStrictEqual(res.body.data.nextReward, { gold: 20 });
+  });
+
+  it('同一游戏日只能签到一次', async () => {
+    await post('/api/checkin/claim', {}, 'u1');
+
+    // 北京时间 23:59 仍是同一天
+    setNow('2026-10-19T15:59:00Z');
+    const res = await post('/api/checkin/claim', {}, 'u1');
+    assert.strictEqual(res.body.code, 4001);
+  });
+
+  it('连续签到累加天数，超过奖励表后循环', async () => {
+    const days = ['2026-10-19', '2026-10-20', '2026-10-21', '2026-10-22'];
+    const results = [];
+    for (const day of days) {
+      setGameDay(day);
+      const res = await post('/api/checkin/claim', {}, 'u1');
+      results.push([res.body.data.streak, res.body.data.reward]);
+    }
+
+    assert.deepStrictEqual(results, [
+      [1, { gold: 10 }],
+      [2, { gold: 20 }],
+      [3, { gold: 30, items: [{ id: 2, count: 1 }] }],
+      [4, { gold: 10 }]
+    ]);
+  });
+
+  it('断签后连续天数从1重新开始', async () => {
+    await post('/api/checkin/claim', {}, 'u1');
+    setGameDay('2026-10-20');
+    await post('/api/checkin/claim', {}, 'u1');
+
+    setGameDay('2026-10-22');
+    let res = await get('/api/checkin', 'u1');
+    assert.strictEqual(res.body.data.streak, 0);
+    assert.strictEqual(res.body.data.nextStreak, 1);
+    assert.strictEqual(res.body.data.lastCheckInDate, '2026-10-20');
+
+    res = await post('/api/checkin/claim', {}, 'u1');
+    assert.strictEqual(res.body.data.streak, 1);
+  });
+
+  it('缺少用户身份时返回 401', async () => {
+    const res = await post('/api/checkin/claim', {});
+    assert.strictEqual(res.status, 401);
+  });
+});
@@ -0,0 +1,123 @@
+const assert = require('assert');
+const { resetDatabase, setNow, get, post, admin } = require('./helpers');
+
+async function createCodes(body) {
+  const res = await admin.post('/api/admin/giftcodes', { reward: { gold: 50 }, ...body });
+  assert.strictEqual(res.body.code, 0, JSON.stringify(res.body));
+  return res.body.data.list.map(item => item.code);
+}
+
+function redeem(code, openid) {
+  return post('/api/giftcode/redeem', { code }, openid);
+}
+
+describe('兑换码接口', () => {
+  beforeEach(async () => {
+    setNow('2026-10-19T04:00:00Z');
+    await resetDatabase();
+  });
+
+  it('兑换后金币记入钱包、道具发放到存档，兑换码不区分大小写', async () => {
+    await createCodes({ code: 'WELCOME2026', reward: { gold: 50, items: [{ id: 4, count: 1 }] } });
+
+    let res = await redeem(' welcome2026 ', 'u1');
+    assert.strictEqual(res.body.code, 0);
+    assert.deepStrictEqual(res.body.data.reward, { gold: 50, items: [{ id: 4, count: 1 }] });
+
+    res = await get('/api/load_data', 'u1');
+    assert.strictEqual(res.body.data.gameData.gold, 150);
+    assert.deepStrictEqual(res.body.data.gameData.items, [{ id: 4, count: 1 }]);
+
+    res = await get('/api/wallet/transactions', 'u1');
+    assert.strictEqual(res.body.data.list[0].reason, 'giftcode');
+  });
+
+  it('不存在的兑换码', async () => {
+    const res = await redeem('NOPE', 'u1');
+    assert.strictEqual(res.body.code, 7001);
+  });
+
+  it('每个玩家只能兑换一次', async () => {
+    await createCodes({ code: 'EVENT' });
+
+    assert.strictEqual((await redeem('EVENT', 'u1')).body.code, 0);
+    assert.strictEqual((await redeem('EVENT', 'u1')).body.code, 7005);
+    assert.strictEqual((await redeem('EVENT', 'u2')).body.code, 0);
+
+    const res = await get('/api/wallet', 'u1');
+    assert.strictEqual(res.body.data.balance, 150);
+  });
+
+  it('达到全服兑换次数上限后不能再兑换', async () => {
+    const [code] = await createCodes({ maxRedemptions: 2 });
+
+    assert.strictEqual((await redeem(code, 'u1')).body.code, 0);
+    assert.strictEqual((await redeem(code, 'u2')).body.code, 0);
+    assert.strictEqual((await redeem(code, 'u3')).body.code, 7004);
+    // 已兑换的玩家再次兑换仍提示已兑换过
+    assert.strictEqual((await redeem(code, 'u1')).body.code, 7005);
+
+    const res = await admin.get(`/api/admin/giftcodes?code=${code}`);
+    assert.strictEqual(res.body.data.list[0].redeemedCount, 2);
+  });
+
+  it('批量生成的单次码各只能被一个玩家兑换', async () => {
+    const codes = await createCodes({ count: 3, maxRedemptions: 1, batch: 'kol-1019' });
+    assert.strictEqual(new Set(codes).size, 3);
+
+    assert.strictEqual((await redeem(codes[0], 'u1')).body.code, 0);
+    assert.strictEqual((await redeem(codes[0], 'u2')).body.code, 7004);
+    assert.strictEqual((await redeem(codes[1], 'u2')).body.code, 0);
+
+    const res = await admin.get('/api/admin/giftcodes?batch=kol-1019');
+    assert.strictEqual(res.body.data.list.length, 3);
+    assert.deepStrictEqual(res.body.data.list.map(item => item.redeemedCount).sort(), [0, 1, 1]);
+  });
+
+  it('按游戏日判断有效期', async () => {
+    await createCodes({ code: 'WEEKEND', startDate: '2026-10-20', endDate: '2026-10-21' });
+
+    // 北京时间 10-19 23:59，尚未生效
+    setNow('2026-10-19T15:59:00Z');
+    assert.strictEqual((await redeem('WEEKEND', 'u1')).body.code, 7002);
+
+    setNow('2026-10-19T16:00:00Z');
+    assert.strictEqual((await redeem('WEEKEND', 'u1')).body.code, 0);
+
+    setNow('2026-10-21T15:59:00Z');
+    assert.strictEqual((await redeem('WEEKEND', 'u2')).body.code, 0);
+
+    setNow('2026-10-21T16:00:00Z');
+    assert.strictEqual((await redeem('WEEKEND', 'u3')).body.code, 7003);
+  });
+
+  describe('运营接口', () => {
+    it('参数校验', async () => {
+      for (const body of [
+        { reward: {} },
+        { code: 'a-b' },
+        { code: 'ABCD', count: 2 },
+        { count: 0 },
+        { maxRedemptions: 0 },
+        { startDate: '2026/10/19' },
+        { startDate: '2026-10-20', endDate: '2026-10-19' }
+      ]) {
+        const res = await admin.post('/api/admin/giftcodes', { reward: { gold: 1 }, ...body });
+        assert.strictEqual(res.status, 400, JSON.stringify(body));
+      }
+    });
+
+    it('不能重复创建同名兑换码', async () => {
+      await createCodes({ code: 'SAME' });
+      const res = await admin.post('/api/admin/giftcodes', { code: 'same', reward: { gold: 1 } });
+      assert.strictEqual(res.status, 409);
+    });
+
+    it('未携带令牌时拒绝访问', async () => {
+      let res = await post('/api/admin/giftcodes', { reward: { gold: 1 } }, 'u1');
+      assert.strictEqual(res.status, 403);
+      res = await get('/api/admin/giftcodes', 'u1');
+      assert.strictEqual(res.status, 403);
+    });
+  });
+});
@@ -0,0 +1,116 @@
+// 测试公共设置：SQLite 内存数据库 + 可控时钟
+// 必须在引用 index.js / db.js 之前加载，环境变量在模块加载时读取
+process.env.NODE_ENV = 'test';
+process.env.DB_DIALECT = 'sqlite';
+process.env.SQLITE_STORAGE = ':memory:';
+process.env.ADMIN_TOKEN = 'test-admin-token';
+process.env.RANK_RUN_RULES = JSON.stringify({ maxAdvance: 100, minSecondsPerStage: 1 });
+process.env.RANK_SEASONS = JSON.stringify([{ id: 'S1', startDate: '2026-10-01', endDate: '2026-12-31' }]);
+process.env.RANK_REWARD_BRACKETS = JSON.stringify([
+  { fromRank: 1, toRank: 1, reward: { gold: 1000 } },
+  { fromRank: 2, toRank: 3, reward: { gold: 500, items: [{ id: 1, count: 1 }] } }
+]);
+process.env.INVITE_DAILY_LIMIT = '3';
+process.env.CHECKIN_REWARDS = JSON.stringify([{ gold: 10 }, { gold: 20 }, { gold: 30, items: [{ id: 2, count: 1 }] }]);
+delete process.env.DEV_MODE;
+
+const FakeTimers = require('@sinonjs/fake-timers');
+const request = require('supertest');
+const db = require('../db');
+const { app, cleanupOldRanks } = require('../index');
+
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN;
+
+let clock = null;
+
+/**
+ * 将时钟拨到指定时间，只接管 Date，setTimeout 等仍使用真实时间
+ */
+function setNow(time) {
+  if (clock) {
+    clock.uninstall();
+  }
+  clock = FakeTimers.install({ now: new Date(time), toFake: ['Date'] });
+}
+
+/**
+ * 时钟前进指定毫秒数
+ */
+function tick(ms) {
+  clock.tick(ms);
+}
+
+function restoreClock() {
+  if (clock) {
+    clock.uninstall();
+    clock = null;
+  }
+}
+
+/**
+ * 删除所有表后重新执行全部迁移
+ */
+async function resetDatabase() {
+  await db.sequelize.getQueryInterface().dropAllTables();
+  await db.migrator.up();
+}
+
+function get(url, openid) {
+  const req = request(app).get(url);
+  return openid ? req.set('x-wx-openid', openid) : req;
+}
+
+function post(url, body, openid) {
+  const req = request(app).post(url);
+  return (openid ? req.set('x-wx-openid', openid) : req).send(body);
+}
+
+const admin = {
+  get(url) {
+    return request(app).get(url).set('x-admin-token', ADMIN_TOKEN);
+  },
+  post(url, body) {
+    return request(app).post(url).set('x-admin-token', ADMIN_TOKEN).send(body);
+  }
+};
+
+/**
+ * 按正常流程提交一次成绩：开局领取凭证，时钟按每关 1 秒前进后提交
+ */
+async function submitScore(openid, instanceID, { roleID = 1, playerName = openid } = {}) {
+  const start = await post('/api/rank/run/start', { roleID }, openid);
+  tick(Math.max(instanceID - start.body.data.startStage, 0) * 1000 + 1);
+  return await post('/api/rank/submit', {
+    playerName,
+    instanceID,
+    roleID,
+    runToken: start.body.data.runToken
+  }, openid);
+}
+
+// 业务日志会淹没测试输出，测试期间静默
+const consoleMethods = {};
+before(() => {
+  for (const method of ['log', 'warn', 'error']) {
+    consoleMethods[method] = console[method];
+    console[method] = () => {};
+  }
+});
+after(() => {
+  Object.assign(console, consoleMethods);
+  restoreClock();
+});
+
+module.exports = {
+  db,
+  app,
+  cleanupOldRanks,
+  setNow,
+  tick,
+  restoreClock,
+  resetDatabase,
+  get,
+  post,
+  admin,
+  submitScore
+};
@@ -0,0 +1,156 @@
+const assert = require('assert');
+const { resetDatabase, setNow, tick, get, post, admin, submitScore } = require('./helpers');
+
+async function sendMail(body) {
+  const res = await admin.post('/api/admin/mail/send', { title: '补偿', content: '停服补偿', ...body });
+  assert.strictEqual(res.body.code, 0, JSON.stringify(res.body));
+  return res.body.data.mailIds;
+}
+
+async function listMails(openid) {
+  const res = await get('/api/mail', openid);
+  return res.body.data;
+}
+
+describe('邮箱接口', () => {
+  beforeEach(async () => {
+    setNow('2026-10-19T04:00:00Z');
+    await resetDatabase();
+  });
+
+  describe('个人邮件', () => {
+    it('只有收件人能看到，领取附件后计入钱包与存档', async () => {
+      const [mailId] = await sendMail({ openids: ['u1'], attachments: { gold: 200, items: [{ id: 3, count: 2 }] } });
+
+      let data = await listMails('u1');
+      assert.strictEqual(data.list.length, 1);
+      assert.strictEqual(data.unreadCount, 1);
+      assert.strictEqual(data.unclaimedCount, 1);
+      assert.strictEqual(data.list[0].isBroadcast, false);
+      assert.strictEqual((await listMails('u2')).list.length, 0);
+
+      let res = await post('/api/mail/claim', { mailId }, 'u1');
+      assert.strictEqual(res.body.code, 0);
+      assert.deepStrictEqual(res.body.data.list[0].attachments, { gold: 200, items: [{ id: 3, count: 2 }] });
+
+      res = await post('/api/mail/claim', { mailId }, 'u1');
+      assert.strictEqual(res.body.code, 6003);
+
+      res = await get('/api/load_data', 'u1');
+      assert.strictEqual(res.body.data.gameData.gold, 300);
+      assert.deepStrictEqual(res.body.data.gameData.items, [{ id: 3, count: 2 }]);
+
+      data = await listMails('u1');
+      assert.strictEqual(data.list[0].claimed, true);
+      assert.strictEqual(data.list[0].read, true);
+      assert.strictEqual(data.unclaimedCount, 0);
+    });
+
+    it('不能操作发给其他玩家的邮件', async () => {
+      const [mailId] = await sendMail({ openids: ['u1'], attachments: { gold: 1 } });
+      const res = await post('/api/mail/claim', { mailId }, 'u2');
+      assert.strictEqual(res.body.code, 6001);
+    });
+
+    it('标记已读与删除', async () => {
+      const [plain] = await sendMail({ openids: ['u1'] });
+      const [withGift] = await sendMail({ openids: ['u1'], attachments: { gold: 1 } });
+
+      let res = await post('/api/mail/read', { mailId: plain }, 'u1');
+      assert.strictEqual(res.body.code, 0);
+      assert.strictEqual((await listMails('u1')).unreadCount, 1);
+
+      res = await post('/api/mail/delete', { mailId: withGift }, 'u1');
+      assert.strictEqual(res.body.code, 6004);
+
+      res = await post('/api/mail/delete', { mailId: plain }, 'u1');
+      assert.strictEqual(res.body.code, 0);
+      assert.deepStrictEqual((await listMails('u1')).list.map(item => item.id), [withGift]);
+
+      res = await post('/api/mail/read', { mailId: plain }, 'u1');
+      assert.strictEqual(res.body.code, 6001);
+    });
+  });
+
+  describe('全服广播', () => {
+    it('每个玩家各领取一次，不传 mailId 时领取全部', async () => {
+      await sendMail({ attachments: { gold: 10 } });
+      await sendMail({ attachments: { gold: 20 } });
+
+      let res = await post('/api/mail/claim', {}, 'u1');
+      assert.strictEqual(res.body.data.list.length, 2);
+      res = await post('/api/mail/claim', {}, 'u1');
+      assert.strictEqual(res.body.code, 6003);
+
+      res = await post('/api/mail/claim', {}, 'u2');
+      assert.strictEqual(res.body.data.list.length, 2);
+
+      res = await get('/api/wallet', 'u1');
+      assert.strictEqual(res.body.data.balance, 130);
+    });
+
+    it('按成绩记录中的角色与注册日期限定收件范围', async () => {
+      await post('/api/save_data', {}, 'early');
+      await submitScore('early', 5, { roleID: 2 });
+      setNow('2026-10-21T04:00:00Z');
+      await post('/api/save_data', {}, 'late');
+      await submitScore('late', 5, { roleID: 1 });
+      // 存档中的字段由客户端写入，不能用来冒充角色
+      await post('/api/save_data', { roleID: 2 }, 'cheater');
+
+      await sendMail({ title: '角色2', target: { roleIDs: [2] } });
+      await sendMail({ title: '老玩家', target: { registeredTo: '2026-10-20' } });
+      await sendMail({ title: '新玩家', target: { registeredFrom: '2026-10-21' } });
+
+      const titles = async (openid) => (await listMails(openid)).list.map(item => item.title);
+      assert.deepStrictEqual(await titles('early'), ['老玩家', '角色2']);
+      assert.deepStrictEqual(await titles('late'), ['新玩家']);
+      assert.deepStrictEqual(await titles('cheater'), ['新玩家']);
+      // 尚未存档的玩家不在限定注册日期或角色的广播范围内
+      assert.deepStrictEqual(await titles('nobody'), []);
+    });
+  });
+
+  describe('过期', () => {
+    it('过期后不再展示也不能领取', async () => {
+      const [mailId] = await sendMail({ openids: ['u1'], attachments: { gold: 1 }, expireDays: 1 });
+
+      tick(24 * 60 * 60 * 1000 + 1);
+      assert.strictEqual((await listMails('u1')).list.length, 0);
+
+      const res = await post('/api/mail/claim', { mailId }, 'u1');
+      assert.strictEqual(res.body.code, 6002);
+    });
+  });
+
+  describe('运营接口', () => {
+    it('参数校验', async () => {
+      for (const body of [
+        { title: '' },
+        { openids: [] },
+        { expireDays: 0 },
+        { openids: ['u1'], target: { roleIDs: [1] } },
+        { target: { roleIDs: 'x' } },
+        { target: { registeredFrom: '20261019' } }
+      ]) {
+        const res = await admin.post('/api/admin/mail/send', { title: 't', content: 'c', ...body });
+        assert.strictEqual(res.status, 400, JSON.stringify(body));
+      }
+    });
+
+    it('查看已发送的邮件', async () => {
+      await sendMail({ openids: ['u1', 'u2', 'u1'] });
+      await sendMail({ target: { roleIDs: [1] } });
+
+      let res = await admin.get('/api/admin/mail');
+      assert.strictEqual(res.body.data.list.length, 3);
+      assert.deepStrictEqual(res.body.data.list[0].target, { roleIDs: [1] });
+
+      res = await admin.get('/api/admin/mail?openid=u1');
+      assert.strictEqual(res.body.data.list.length, 1);
+
+      res = await get('/api/admin/mail');
+      assert.strictEqual(res.status, 403);
+    });
+  });
+});
@@ -0,0 +1,59 @@
+const assert = require('assert');
+const { db, resetDatabase } = require('./helpers');
+
+describe('数据库迁移', () => {
+  const queryInterface = db.sequelize.getQueryInterface();
+
+  beforeEach(async () => {
+    await resetDatabase();
+  });
+
+  it('迁移建出的表与模型定义的字段一致', async () => {
+    for (const model of Object.values(db.sequelize.models)) {
+      const columns = Object.keys(await queryInterface.describeTable(model.getTableName())).sort();
+      const attributes = Object.values(model.getAttributes()).map(item => item.field).sort();
+      assert.deepStrictEqual(columns, attributes, model.name);
+    }
+  });
+
+  it('可全部回滚后重新执行', async () => {
+    await db.migrator.down({ to: 0 });
+    assert.deepStrictEqual(await db.migrator.executed(), []);
+    assert.strictEqual(await queryInterface.tableExists('GameSaves'), false);
+
+    await db.migrator.up();
+    assert.deepStrictEqual(await db.migrator.pending(), []);
+    assert.strictEqual(await queryInterface.tableExists('GameSaves'), true);
+  });
+
+  it('在最初上线版本的数据库上补齐之后的表结构，不影响已有数据', async () => {
+    // 模拟最初版本由 sync 建表的数据库：只有初始的表，没有迁移记录
+    await db.migrator.down({ to: 0 });
+    await db.migrator.up({ to: '001-baseline.js' });
+    const now = new Date().toISOString();
+    await db.sequelize.query(
+      `INSERT INTO GameSaves (openid, gameData, createdAt, updatedAt) VALUES ('u1', '{"gold":500}', '${now}', '${now}')`
+    );
+    await db.sequelize.query(
+      `INSERT INTO ShareInvites (inviterOpenId, inviteeOpenId, createdAt, updatedAt) VALUES ('a', 'u1', '${now}', '${now}')`
+    );
+    await db.sequelize.query('DELETE FROM SequelizeMeta');
+
+    await db.init();
+
+    assert.ok((await queryInterface.describeTable('GameSaves')).revision);
+    const indexes = await queryInterface.showIndex('DailyRanks');
+    assert.ok(indexes.some(index => index.name === 'idx_date_role_score'));
+    const inviteIndexes = await queryInterface.showIndex('ShareInvites');
+    assert.ok(inviteIndexes.some(index => index.name === 'share_invites_inviter_open_id'));
+
+    // 已有存档可以继续写入，初始版本的邀请记录仍计为成功
+    const result = await db.writeGameSave('u1', { gold: 600 });
+    assert.strictEqual(result.conflict, false);
+    assert.strictEqual(result.record.revision, 1);
+    assert.strictEqual(await db.getInviteCount('a'), 1);
+
+    const invite = await db.ShareInvite.create({ inviterOpenId: 'a', inviteeOpenId: 'u2' });
+    assert.strictEqual(invite.status, 'pending');
+  });
+});
@@ -0,0 +1,124 @@
+const assert = require('assert');
+const { db, resetDatabase, setNow, get, post } = require('./helpers');
+const gameDay = require('../gameDay');
+
+describe('基础接口', () => {
+  beforeEach(async () => {
+    setNow('2026-10-19T04:00:00Z');
+    await resetDatabase();
+  });
+
+  it('POST /api/count 与 GET /api/count', async () => {
+    await post('/api/count', { action: 'inc' });
+    let res = await post('/api/count', { action: 'inc' });
+    assert.deepStrictEqual(res.body, { code: 0, data: 2 });
+
+    res = await get('/api/count');
+    assert.strictEqual(res.body.data, 2);
+
+    res = await post('/api/count', { action: 'clear' });
+    assert.strictEqual(res.body.data, 0);
+  });
+
+  it('GET /api/wx_openid 只在小程序环境下返回 openid', async () => {
+    let res = await get('/api/wx_openid', 'u1').set('x-wx-source', 'wx');
+    assert.strictEqual(res.text, 'u1');
+
+    res = await get('/api/wx_openid', 'u1');
+    assert.strictEqual(res.status, 400);
+  });
+
+  it('GET /api/current_date 返回当前游戏日与下次切换时间', async () => {
+    setNow('2026-10-19T16:30:00Z');
+    const res = await get('/api/current_date');
+    assert.strictEqual(res.body.code, 0);
+    assert.strictEqual(res.body.data.date, '2026-10-20');
+    assert.strictEqual(res.body.data.iso, '2026-10-19T16:30:00.000Z');
+    assert.strictEqual(res.body.data.day, 20);
+    assert.strictEqual(res.body.data.dayOfWeek, 2);
+    assert.strictEqual(res.body.data.timezone, 'Asia/Shanghai');
+    assert.strictEqual(res.body.data.dayStartAt, '2026-10-19T16:00:00.000Z');
+    assert.strictEqual(res.body.data.nextResetAt, '2026-10-20T16:00:00.000Z');
+  });
+});
+
+/**
+ * 以指定的时区与切换时刻重新加载 gameDay 模块
+ */
+function loadGameDay(env) {
+  const saved = {};
+  for (const name of Object.keys(env)) {
+    saved[name] = process.env[name];
+    process.env[name] = env[name];
+  }
+  try {
+    delete require.cache[require.resolve('../config')];
+    delete require.cache[require.resolve('../gameDay')];
+    return require('../gameDay');
+  } finally {
+    for (const name of Object.keys(env)) {
+      if (saved[name] === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = saved[name];
+      }
+    }
+    delete require.cache[require.resolve('../config')];
+    delete require.cache[require.resolve('../gameDay')];
+  }
+}
+
+describe('游戏日', () => {
+  it('默认在北京时间零点（UTC 16:00）切换日期', () => {
+    assert.strictEqual(gameDay.getGameDateString(new Date('2026-10-19T15:59:59.999Z')), '2026-10-19');
+    assert.strictEqual(gameDay.getGameDateString(new Date('2026-10-19T16:00:00Z')), '2026-10-20');
+    assert.strictEqual(gameDay.getGameDateString(new Date('2026-12-31T16:00:00Z')), '2027-01-01');
+    assert.strictEqual(gameDay.getGameDayStart('2026-10-20').toISOString(), '2026-10-19T16:00:00.000Z');
+  });
+
+  it('按配置的切换时刻划分游戏日', () => {
+    const resetAtFive = loadGameDay({ GAME_TIMEZONE: 'Asia/Shanghai', DAY_RESET_HOUR: '5' });
+
+    // 北京时间 10-20 04:59 仍属于 10-19
+    assert.strictEqual(resetAtFive.getGameDateString(new Date('2026-10-19T20:59:59Z')), '2026-10-19');
+    assert.strictEqual(resetAtFive.getGameDateString(new Date('2026-10-19T21:00:00Z')), '2026-10-20');
+    assert.strictEqual(resetAtFive.getGameDayStart('2026-10-20').toISOString(), '2026-10-19T21:00:00.000Z');
+    assert.strictEqual(
+      resetAtFive.getNextResetTime(new Date('2026-10-19T20:00:00Z')).toISOString(),
+      '2026-10-19T21:00:00.000Z'
+    );
+  });
+
+  it('海外时区按当地夏令时切换', () => {
+    const newYork = loadGameDay({ GAME_TIMEZONE: 'America/New_York', DAY_RESET_HOUR: '0' });
+
+    // 夏令时 UTC-4
+    assert.strictEqual(newYork.getGameDateString(new Date('2026-07-01T03:59:59Z')), '2026-06-30');
+    assert.strictEqual(newYork.getGameDayStart('2026-07-01').toISOString(), '2026-07-01T04:00:00.000Z');
+    // 标准时间 UTC-5
+    assert.strictEqual(newYork.getGameDateString(new Date('2026-12-01T04:59:59Z')), '2026-11-30');
+    assert.strictEqual(newYork.getGameDayStart('2026-12-01').toISOString(), '2026-12-01T05:00:00.000Z');
+    // 夏令时结束当天
+    assert.strictEqual(newYork.getGameDayStart('2026-11-01').toISOString(), '2026-11-01T04:00:00.000Z');
+    assert.strictEqual(newYork.getNextResetTime(new Date('2026-11-01T12:00:00Z')).toISOString(), '2026-11-02T05:00:00.000Z');
+  });
+
+  it('时区或切换时刻无效时拒绝加载', () => {
+    assert.throws(() => loadGameDay({ GAME_TIMEZONE: 'Mars/Base' }), RangeError);
+    assert.throws(() => loadGameDay({ DAY_RESET_HOUR: '24' }), /DAY_RESET_HOUR/);
+  });
+
+  it('shiftDateString 跨月跨年偏移', () => {
+    assert.strictEqual(gameDay.shiftDateString('2026-10-31', 1), '2026-11-01');
+    assert.strictEqual(gameDay.shiftDateString('2027-01-01', -1), '2026-12-31');
+  });
+
+  it('getRankPeriod 周榜以周一开始', () => {
+    assert.deepStrictEqual(db.getRankPeriod('weekly', '2026-10-25'), {
+      periodKey: '2026-10-19',
+      startDate: '2026-10-19',
+      endDate: '2026-10-25'
+    });
+    assert.strictEqual(db.getRankPeriod('season', '2027-01-01'), null);
+  });
+});
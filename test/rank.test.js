@@ -0,0 +1,434 @@
+const assert = require('assert');
+const { db, cleanupOldRanks, resetDatabase, setNow, tick, get, post, admin, submitScore } = require('./helpers');
+
+describe('排行榜接口', () => {
+  beforeEach(async () => {
+    // 北京时间 2026-10-19（周一）12:00
+    setNow('2026-10-19T04:00:00Z');
+    await resetDatabase();
+  });
+
+  describe('POST /api/rank/run/start 与 /api/rank/submit', () => {
+    it('凭证有效且耗时合理时记录成绩', async () => {
+      const res = await submitScore('p1', 10);
+      assert.strictEqual(res.status, 200);
+      assert.strictEqual(res.body.code, 0);
+      assert.strictEqual(res.body.data.instanceID, 10);
+      assert.strictEqual(res.body.data.rank, 1);
+      assert.strictEqual(res.body.data.roleRank, 1);
+      assert.strictEqual(res.body.data.date, '2026-10-19');
+    });
+
+    it('只保留当日最高成绩', async () => {
+      await submitScore('p1', 10);
+
+      let res = await submitScore('p1', 8);
+      assert.strictEqual(res.body.data.isUpdated, false);
+      assert.strictEqual(res.body.data.instanceID, 10);
+
+      res = await submitScore('p1', 12);
+      assert.strictEqual(res.body.message, '成绩已更新');
+      assert.strictEqual(res.body.data.instanceID, 12);
+    });
+
+    it('每个角色分别保留当日最高成绩，全服榜取各角色中的最好成绩', async () => {
+      await submitScore('p1', 50, { roleID: 1 });
+
+      let res = await submitScore('p1', 10, { roleID: 2 });
+      assert.strictEqual(res.body.message, '成绩已记录');
+      assert.strictEqual(res.body.data.roleRank, 1);
+      assert.strictEqual(res.body.data.rank, 1);
+
+      res = await submitScore('p1', 8, { roleID: 2 });
+      assert.strictEqual(res.body.data.isUpdated, false);
+
+      res = await get('/api/rank/list?roleID=2', 'p1');
+      assert.deepStrictEqual(res.body.data.list.map(item => [item.playerName, item.instanceID]), [['p1', 10]]);
+      res = await get('/api/rank/list?roleID=1', 'p1');
+      assert.deepStrictEqual(res.body.data.list.map(item => [item.playerName, item.instanceID]), [['p1', 50]]);
+      res = await get('/api/rank/list', 'p1');
+      assert.deepStrictEqual(res.body.data.list.map(item => [item.roleID, item.instanceID]), [[1, 50]]);
+
+      // 另一角色超过原最好成绩后，全服榜改用该角色的成绩，原角色榜不受影响
+      res = await submitScore('p1', 60, { roleID: 2 });
+      assert.strictEqual(res.body.data.instanceID, 60);
+      res = await get('/api/rank/list', 'p1');
+      assert.deepStrictEqual(res.body.data.list.map(item => [item.roleID, item.instanceID]), [[2, 60]]);
+      res = await get('/api/rank/my?roleID=1', 'p1');
+      assert.strictEqual(res.body.data.score, 50);
+      assert.strictEqual(res.body.data.rank, 1);
+      res = await get('/api/rank/stats');
+      assert.strictEqual(res.body.data.totalPlayers, 1);
+    });
+
+    it('开局关卡取服务器已知的最高进度', async () => {
+      await submitScore('p1', 10);
+      const res = await post('/api/rank/run/start', { roleID: 1 }, 'p1');
+      assert.strictEqual(res.body.data.startStage, 10);
+    });
+
+    it('开局关卡不采信客户端存档中的进度', async () => {
+      await post('/api/save_data', { instanceID: 99990 }, 'p1');
+      const start = await post('/api/rank/run/start', { roleID: 1 }, 'p1');
+      assert.strictEqual(start.body.data.startStage, 0);
+
+      tick(20 * 1000);
+      const res = await post('/api/rank/submit', {
+        playerName: 'p1',
+        instanceID: 100000,
+        runToken: start.body.data.runToken
+      }, 'p1');
+      assert.strictEqual(res.status, 403);
+      assert.strictEqual(res.body.data.reason, 'progress_exceeded');
+    });
+
+    it('开局关卡沿用往日成绩', async () => {
+      await submitScore('p1', 30);
+      setNow('2026-10-20T04:00:00Z');
+      const res = await post('/api/rank/run/start', { roleID: 1 }, 'p1');
+      assert.strictEqual(res.body.data.startStage, 30);
+    });
+
+    it('缺少凭证、凭证重复使用、角色不符或过快时拒绝并记录', async () => {
+      let res = await post('/api/rank/submit', { playerName: 'p1', instanceID: 5 }, 'p1');
+      assert.strictEqual(res.status, 403);
+      assert.strictEqual(res.body.code, 3001);
+      assert.strictEqual(res.body.data.reason, 'missing_token');
+
+      const start = await post('/api/rank/run/start', { roleID: 1 }, 'p1');
+      const runToken = start.body.data.runToken;
+
+      res = await post('/api/rank/submit', { playerName: 'p1', instanceID: 5, runToken }, 'p1');
+      assert.strictEqual(res.body.data.reason, 'too_fast');
+
+      res = await post('/api/rank/submit', { playerName: 'p1', instanceID: 5, runToken }, 'p1');
+      assert.strictEqual(res.body.data.reason, 'invalid_token');
+
+      const second = await post('/api/rank/run/start', { roleID: 1 }, 'p1');
+      tick(60 * 1000);
+      res = await post('/api/rank/submit', { playerName: 'p1', instanceID: 5, roleID: 2, runToken: second.body.data.runToken }, 'p1');
+      assert.strictEqual(res.body.data.reason, 'role_mismatch');
+
+      res = await get('/api/admin/rank/rejections');
+      assert.strictEqual(res.status, 403);
+
+      res = await admin.get('/api/admin/rank/rejections?openid=p1');
+      assert.deepStrictEqual(
+        res.body.data.list.map(item => item.reason),
+        ['role_mismatch', 'invalid_token', 'too_fast', 'missing_token']
+      );
+    });
+
+    it('参数无效时返回 400', async () => {
+      let res = await post('/api/rank/run/start', { roleID: 'a' }, 'p1');
+      assert.strictEqual(res.status, 400);
+
+      res = await post('/api/rank/submit', { playerName: ' ', instanceID: 1 }, 'p1');
+      assert.strictEqual(res.status, 400);
+
+      res = await post('/api/rank/submit', { playerName: 'p1', instanceID: -1 }, 'p1');
+      assert.strictEqual(res.status, 400);
+    });
+
+    it('未配置的角色不能开始对局或提交成绩', async () => {
+      let res = await post('/api/rank/run/start', { roleID: 99 }, 'p1');
+      assert.strictEqual(res.status, 400);
+
+      const start = await post('/api/rank/run/start', { roleID: 1 }, 'p1');
+      tick(10);
+      res = await post('/api/rank/submit', {
+        playerName: 'p1', instanceID: 1, roleID: 99, runToken: start.body.data.runToken
+      }, 'p1');
+      assert.strictEqual(res.status, 400);
+      assert.strictEqual(await db.DailyRank.count(), 0);
+    });
+  });
+
+  describe('今日排行榜查询', () => {
+    beforeEach(async () => {
+      await submitScore('p1', 10, { roleID: 1 });
+      await submitScore('p2', 20, { roleID: 2 });
+      await submitScore('p3', 10, { roleID: 1 });
+      await submitScore('p4', 5, { roleID: 2 });
+    });
+
+    it('GET /api/rank/list 分数降序，同分先提交者在前', async () => {
+      const res = await get('/api/rank/list', 'p3');
+      assert.deepStrictEqual(
+        res.body.data.list.map(item => [item.rank, item.playerName, item.instanceID]),
+        [[1, 'p2', 20], [2, 'p1', 10], [3, 'p3', 10], [4, 'p4', 5]]
+      );
+      assert.strictEqual(res.body.data.myRank, 3);
+      assert.strictEqual(res.body.data.list[2].isSelf, true);
+    });
+
+    it('GET /api/rank/list?roleID= 只返回该角色的成绩', async () => {
+      const res = await get('/api/rank/list?roleID=2', 'p4');
+      assert.deepStrictEqual(res.body.data.list.map(item => item.playerName), ['p2', 'p4']);
+      assert.strictEqual(res.body.data.myRank, 2);
+      assert.strictEqual(res.body.data.roleID, 2);
+    });
+
+    it('GET /api/rank/list 拒绝无效日期与 roleID', async () => {
+      let res = await get('/api/rank/list?date=2026-10-20');
+      assert.strictEqual(res.status, 400);
+
+      res = await get('/api/rank/list?roleID=x');
+      assert.strictEqual(res.status, 400);
+    });
+
+    it('GET /api/rank/my 返回精确排名与百分位', async () => {
+      let res = await get('/api/rank/my', 'p3');
+      assert.strictEqual(res.body.data.rank, 3);
+      assert.strictEqual(res.body.data.totalPlayers, 4);
+      assert.strictEqual(res.body.data.percentile, 33.33);
+
+      res = await get('/api/rank/my?roleID=1', 'p3');
+      assert.strictEqual(res.body.data.rank, 2);
+      assert.strictEqual(res.body.data.totalPlayers, 2);
+      assert.strictEqual(res.body.data.percentile, 0);
+
+      res = await get('/api/rank/my?roleID=2', 'p3');
+      assert.strictEqual(res.body.data.onRank, false);
+
+      res = await get('/api/rank/my', 'nobody');
+      assert.strictEqual(res.body.data.onRank, false);
+    });
+
+    it('同分同一时刻提交时按记录先后排名，各接口名次一致', async () => {
+      const createdAt = new Date('2026-10-19T05:00:00Z');
+      await db.DailyRank.bulkCreate(['t1', 't2', 't3'].map(openid => ({
+        openid,
+        playerName: openid,
+        recordDate: '2026-10-19',
+        roleID: 3,
+        instanceID: 7,
+        isBest: true,
+        createdAt
+      })));
+
+      let res = await get('/api/rank/list?roleID=3');
+      assert.deepStrictEqual(res.body.data.list.map(item => [item.rank, item.playerName]), [[1, 't1'], [2, 't2'], [3, 't3']]);
+
+      for (const [openid, rank] of [['t1', 1], ['t2', 2], ['t3', 3]]) {
+        res = await get('/api/rank/my?roleID=3', openid);
+        assert.strictEqual(res.body.data.rank, rank, openid);
+      }
+    });
+
+    it('GET /api/rank/around 不遗漏同分同一时刻提交的玩家', async () => {
+      const createdAt = new Date('2026-10-19T05:00:00Z');
+      await db.DailyRank.bulkCreate(['t1', 't2', 't3'].map(openid => ({
+        openid,
+        playerName: openid,
+        recordDate: '2026-10-19',
+        roleID: 3,
+        instanceID: 7,
+        isBest: true,
+        createdAt
+      })));
+      await submitScore('t4', 6, { roleID: 3 });
+
+      const res = await get('/api/rank/around?roleID=3', 't2');
+      assert.deepStrictEqual(
+        res.body.data.list.map(item => [item.rank, item.playerName]),
+        [[1, 't1'], [2, 't2'], [3, 't3'], [4, 't4']]
+      );
+    });
+
+    it('GET /api/rank/around 返回上下相邻的玩家', async () => {
+      let res = await get('/api/rank/around?count=1', 'p1');
+      assert.deepStrictEqual(
+        res.body.data.list.map(item => [item.rank, item.playerName]),
+        [[1, 'p2'], [2, 'p1'], [3, 'p3']]
+      );
+      assert.strictEqual(res.body.data.myRank, 2);
+
+      res = await get('/api/rank/around?roleID=1', 'p3');
+      assert.deepStrictEqual(res.body.data.list.map(item => item.playerName), ['p1', 'p3']);
+
+      res = await get('/api/rank/around?count=21', 'p1');
+      assert.strictEqual(res.status, 400);
+
+      res = await get('/api/rank/around', 'nobody');
+      assert.strictEqual(res.body.data.onRank, false);
+    });
+
+    it('GET /api/rank/friends 只包含完成邀请关系的玩家', async () => {
+      const code = await get('/api/share/code', 'p1');
+      await post('/api/share/record', { shareCode: code.body.data.shareCode }, 'p4');
+      await post('/api/save_data', { gold: 0 }, 'p4');
+
+      const res = await get('/api/rank/friends', 'p4');
+      assert.deepStrictEqual(res.body.data.list.map(item => item.playerName), ['p1', 'p4']);
+      assert.strictEqual(res.body.data.myRank, 2);
+      assert.strictEqual(res.body.data.friendCount, 1);
+    });
+
+    it('GET /api/rank/stats 返回今日统计', async () => {
+      const res = await get('/api/rank/stats');
+      assert.strictEqual(res.body.data.totalPlayers, 4);
+      assert.strictEqual(res.body.data.top100MinScore, 5);
+      assert.strictEqual(res.body.data.top100Count, 4);
+    });
+  });
+
+  describe('零点结算与归档', () => {
+    beforeEach(async () => {
+      await submitScore('p1', 30, { roleID: 1 });
+      await submitScore('p2', 20, { roleID: 2 });
+      await submitScore('p3', 10, { roleID: 1 });
+      await submitScore('p4', 5, { roleID: 2 });
+    });
+
+    it('北京时间零点前后分属两天', async () => {
+      setNow('2026-10-19T15:59:00Z');
+      let res = await submitScore('p5', 1);
+      assert.strictEqual(res.body.data.date, '2026-10-19');
+
+      setNow('2026-10-19T16:00:00Z');
+      res = await submitScore('p5', 2);
+      assert.strictEqual(res.body.data.date, '2026-10-20');
+      assert.strictEqual(res.body.data.rank, 1);
+    });
+
+    it('当日仍在进行时不结算', async () => {
+      await cleanupOldRanks();
+      assert.strictEqual(await db.DailyRank.count(), 4);
+      assert.strictEqual(await db.RankReward.count(), 0);
+    });
+
+    it('跨天后发放名次奖励、归档排行榜并删除明细', async () => {
+      setNow('2026-10-19T16:00:30Z');
+      await cleanupOldRanks();
+
+      assert.strictEqual(await db.DailyRank.count(), 0);
+      const archive = await db.DailyRankArchive.findByPk('2026-10-19');
+      assert.strictEqual(archive.totalPlayers, 4);
+
+      let res = await get('/api/rank/list?date=2026-10-19', 'p2');
+      assert.deepStrictEqual(res.body.data.list.map(item => item.playerName), ['p1', 'p2', 'p3', 'p4']);
+      assert.strictEqual(res.body.data.myRank, 2);
+
+      res = await get('/api/rank/list?date=2026-10-19&roleID=1');
+      assert.deepStrictEqual(res.body.data.list.map(item => item.playerName), ['p1', 'p3']);
+
+      res = await get('/api/rank/rewards', 'p2');
+      assert.strictEqual(res.body.data.pendingCount, 1);
+      assert.strictEqual(res.body.data.list[0].rank, 2);
+
+      res = await get('/api/rank/rewards', 'p4');
+      assert.strictEqual(res.body.data.list.length, 0);
+    });
+
+    it('归档保留各角色榜，全服榜每人只计一次', async () => {
+      await submitScore('p4', 40, { roleID: 1 });
+      setNow('2026-10-19T16:00:30Z');
+      await cleanupOldRanks();
+
+      const archive = await db.DailyRankArchive.findByPk('2026-10-19');
+      assert.strictEqual(archive.totalPlayers, 4);
+
+      let res = await get('/api/rank/list?date=2026-10-19');
+      assert.deepStrictEqual(res.body.data.list.map(item => item.playerName), ['p4', 'p1', 'p2', 'p3']);
+      res = await get('/api/rank/list?date=2026-10-19&roleID=2');
+      assert.deepStrictEqual(res.body.data.list.map(item => item.playerName), ['p2', 'p4']);
+
+      res = await get('/api/rank/rewards', 'p4');
+      assert.strictEqual(res.body.data.list[0].rank, 1);
+    });
+
+    it('重复结算不会重复发放奖励', async () => {
+      setNow('2026-10-19T16:00:30Z');
+      await cleanupOldRanks();
+      await db.settleDailyRank('2026-10-19');
+      assert.strictEqual(await db.RankReward.count(), 3);
+    });
+
+    it('POST /api/rank/rewards/claim 领取奖励到存档，只能领取一次', async () => {
+      setNow('2026-10-19T16:00:30Z');
+      await cleanupOldRanks();
+
+      let res = await post('/api/rank/rewards/claim', {}, 'p1');
+      assert.strictEqual(res.body.code, 0);
+      assert.deepStrictEqual(res.body.data.list[0].reward, { gold: 1000 });
+
+      res = await post('/api/rank/rewards/claim', {}, 'p1');
+      assert.strictEqual(res.body.code, 3002);
+
+      res = await get('/api/load_data', 'p1');
+      assert.strictEqual(res.body.data.gameData.gold, 1100);
+
+      res = await get('/api/rank/rewards', 'p1');
+      assert.strictEqual(res.body.data.list[0].status, 'claimed');
+    });
+
+    it('超出保留天数的归档被删除', async () => {
+      setNow('2026-11-18T04:00:00Z');
+      await cleanupOldRanks();
+      assert.strictEqual(await db.DailyRankArchive.count(), 1);
+
+      setNow('2026-11-19T04:00:00Z');
+      await cleanupOldRanks();
+      assert.strictEqual(await db.DailyRankArchive.count(), 0);
+    });
+  });
+
+  describe('周榜与赛季榜', () => {
+    beforeEach(async () => {
+      await submitScore('p1', 10);
+      await submitScore('p2', 15);
+      // 次日成绩更低，周榜与赛季榜保留本周期最好成绩
+      setNow('2026-10-20T04:00:00Z');
+      await submitScore('p1', 5);
+      await submitScore('p2', 20);
+    });
+
+    for (const [boardType, periodKey] of [['weekly', '2026-10-19'], ['season', 'S1']]) {
+      it(`/api/rank/${boardType}/* 返回当前周期的榜单`, async () => {
+        let res = await get(`/api/rank/${boardType}/list`, 'p1');
+        assert.strictEqual(res.body.data.periodKey, periodKey);
+        assert.deepStrictEqual(
+          res.body.data.list.map(item => [item.playerName, item.instanceID]),
+          [['p2', 20], ['p1', 10]]
+        );
+        assert.strictEqual(res.body.data.myRank, 2);
+
+        res = await get(`/api/rank/${boardType}/my`, 'p2');
+        assert.strictEqual(res.body.data.rank, 1);
+        assert.strictEqual(res.body.data.score, 20);
+
+        res = await get(`/api/rank/${boardType}/stats`);
+        assert.strictEqual(res.body.data.totalPlayers, 2);
+        assert.strictEqual(res.body.data.top100MinScore, 10);
+      });
+    }
+
+    it('跨周后周榜重新开始，可通过 ?period= 查询往期', async () => {
+      setNow('2026-10-26T04:00:00Z');
+      let res = await get('/api/rank/weekly/list');
+      assert.strictEqual(res.body.data.periodKey, '2026-10-26');
+      assert.strictEqual(res.body.data.list.length, 0);
+
+      res = await get('/api/rank/weekly/list?period=2026-10-21');
+      assert.strictEqual(res.body.data.periodKey, '2026-10-19');
+      assert.strictEqual(res.body.data.list.length, 2);
+    });
+
+    it('周期不存在时返回 404', async () => {
+      let res = await get('/api/rank/season/list?period=S9');
+      assert.strictEqual(res.status, 404);
+
+      res = await get('/api/rank/weekly/my?period=bad', 'p1');
+      assert.strictEqual(res.status, 404);
+
+      // 格式正确但日期不存在
+      for (const path of ['list', 'my', 'stats']) {
+        res = await get(`/api/rank/weekly/${path}?period=2026-13-45`, 'p1');
+        assert.strictEqual(res.status, 404, path);
+      }
+      res = await get('/api/rank/weekly/list?period=2026-02-30');
+      assert.strictEqual(res.status, 404);
+    });
+  });
+});
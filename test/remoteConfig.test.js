@@ -0,0 +1,166 @@
+const assert = require('assert');
+const { resetDatabase, setNow, get, admin } = require('./helpers');
+
+describe('远程配置与公告', () => {
+  beforeEach(async () => {
+    setNow('2026-10-19T04:00:00Z');
+    await resetDatabase();
+  });
+
+  describe('远程配置', () => {
+    it('下发全部配置，修改后版本号自增', async () => {
+      let res = await admin.post('/api/admin/config', { key: 'stage.difficulty', value: { base: 1.2, step: 0.1 } });
+      assert.strictEqual(res.body.data.version, 1);
+      await admin.post('/api/admin/config', { key: 'event.halloween', value: true });
+      res = await admin.post('/api/admin/config', { key: 'stage.difficulty', value: { base: 1.5, step: 0.1 } });
+      assert.strictEqual(res.body.data.version, 2);
+
+      res = await get('/api/remote_config');
+      assert.deepStrictEqual(res.body.data.config, {
+        'event.halloween': true,
+        'stage.difficulty': { base: 1.5, step: 0.1 }
+      });
+
+      res = await admin.get('/api/admin/config');
+      assert.deepStrictEqual(res.body.data.list.map(item => [item.key, item.version]), [
+        ['event.halloween', 1],
+        ['stage.difficulty', 2]
+      ]);
+    });
+
+    it('expectedVersion 不符时拒绝修改', async () => {
+      let res = await admin.post('/api/admin/config', { key: 'switch', value: 1, expectedVersion: 0 });
+      assert.strictEqual(res.body.code, 0);
+
+      res = await admin.post('/api/admin/config', { key: 'switch', value: 2, expectedVersion: 0 });
+      assert.strictEqual(res.status, 409);
+      assert.strictEqual(res.body.data.value, 1);
+
+      res = await admin.post('/api/admin/config', { key: 'switch', value: 2, expectedVersion: 1 });
+      assert.strictEqual(res.body.data.version, 2);
+
+      res = await admin.post('/api/admin/config', { key: 'other', value: 2, expectedVersion: 3 });
+      assert.strictEqual(res.status, 409);
+      assert.strictEqual(res.body.data, null);
+    });
+
+    it('删除配置', async () => {
+      await admin.post('/api/admin/config', { key: 'switch', value: false });
+
+      let res = await admin.post('/api/admin/config/delete', { key: 'switch' });
+      assert.strictEqual(res.body.code, 0);
+      res = await admin.post('/api/admin/config/delete', { key: 'switch' });
+      assert.strictEqual(res.status, 404);
+
+      res = await get('/api/remote_config');
+      assert.deepStrictEqual(res.body.data.config, {});
+    });
+
+    it('参数校验', async () => {
+      for (const body of [
+        { key: 'bad key', value: 1 },
+        { key: 'k' },
+        { key: 'k', value: 'x'.repeat(70000) },
+        { key: 'k', value: 1, expectedVersion: -1 }
+      ]) {
+        const res = await admin.post('/api/admin/config', body);
+        assert.strictEqual(res.status, 400, JSON.stringify(body).slice(0, 50));
+      }
+    });
+  });
+
+  describe('ETag', () => {
+    it('内容未变化时返回 304，变化后返回新内容', async () => {
+      await admin.post('/api/admin/config', { key: 'switch', value: 1 });
+
+      let res = await get('/api/remote_config');
+      const etag = res.headers.etag;
+      assert.ok(etag);
+      assert.strictEqual(res.headers['cache-control'], 'no-cache');
+
+      res = await get('/api/remote_config').set('If-None-Match', etag);
+      assert.strictEqual(res.status, 304);
+
+      await admin.post('/api/admin/config', { key: 'switch', value: 2 });
+      res = await get('/api/remote_config').set('If-None-Match', etag);
+      assert.strictEqual(res.status, 200);
+      assert.notStrictEqual(res.headers.etag, etag);
+      assert.strictEqual(res.body.data.config.switch, 2);
+    });
+
+    it('公告开始或结束展示时 ETag 随之变化', async () => {
+      await admin.post('/api/admin/announcements', {
+        title: '维护公告',
+        content: '10-20 凌晨停服维护',
+        startAt: '2026-10-19T05:00:00Z',
+        endAt: '2026-10-19T06:00:00Z'
+      });
+
+      let res = await get('/api/remote_config');
+      const before = res.headers.etag;
+      assert.strictEqual(res.body.data.announcements.length, 0);
+
+      setNow('2026-10-19T05:00:00Z');
+      res = await get('/api/remote_config').set('If-None-Match', before);
+      assert.strictEqual(res.status, 200);
+      assert.strictEqual(res.body.data.announcements[0].title, '维护公告');
+
+      setNow('2026-10-19T06:00:00Z');
+      res = await get('/api/remote_config');
+      assert.strictEqual(res.headers.etag, before);
+      assert.strictEqual(res.body.data.announcements.length, 0);
+    });
+  });
+
+  describe('公告', () => {
+    it('按优先级排序，修改与删除后生效', async () => {
+      let res = await admin.post('/api/admin/announcements', { title: '普通', content: 'a' });
+      const normal = res.body.data.id;
+      res = await admin.post('/api/admin/announcements', { title: '置顶', content: 'b', priority: 10 });
+      const pinned = res.body.data.id;
+
+      res = await get('/api/remote_config');
+      assert.deepStrictEqual(res.body.data.announcements.map(item => item.title), ['置顶', '普通']);
+
+      res = await admin.post('/api/admin/announcements/update', { id: normal, title: '普通', content: 'a', priority: 20 });
+      assert.strictEqual(res.body.code, 0);
+      res = await admin.post('/api/admin/announcements/delete', { id: pinned });
+      assert.strictEqual(res.body.code, 0);
+
+      res = await get('/api/remote_config');
+      assert.deepStrictEqual(res.body.data.announcements.map(item => [item.title, item.priority]), [['普通', 20]]);
+
+      res = await admin.post('/api/admin/announcements/update', { id: pinned, title: 'x', content: 'x' });
+      assert.strictEqual(res.status, 404);
+    });
+
+    it('运营列表默认不含已结束的公告', async () => {
+      await admin.post('/api/admin/announcements', { title: '旧', content: 'a', startAt: '2026-10-01T00:00:00Z', endAt: '2026-10-02T00:00:00Z' });
+      await admin.post('/api/admin/announcements', { title: '预告', content: 'b', startAt: '2026-10-25T00:00:00Z' });
+
+      let res = await admin.get('/api/admin/announcements');
+      assert.deepStrictEqual(res.body.data.list.map(item => item.title), ['预告']);
+      res = await admin.get('/api/admin/announcements?all=1');
+      assert.strictEqual(res.body.data.list.length, 2);
+    });
+
+    it('参数校验', async () => {
+      for (const body of [
+        { content: 'a' },
+        { title: 't', content: 'a', priority: 1.5 },
+        { title: 't', content: 'a', startAt: 'not a date' },
+        { title: 't', content: 'a', startAt: '2026-10-20T00:00:00Z', endAt: '2026-10-19T00:00:00Z' }
+      ]) {
+        const res = await admin.post('/api/admin/announcements', body);
+        assert.strictEqual(res.status, 400, JSON.stringify(body));
+      }
+    });
+
+    it('未携带令牌时拒绝访问', async () => {
+      let res = await get('/api/admin/announcements');
+      assert.strictEqual(res.status, 403);
+      res = await get('/api/admin/config');
+      assert.strictEqual(res.status, 403);
+    });
+  });
+});
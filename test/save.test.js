@@ -0,0 +1,156 @@
+const assert = require('assert');
+const { db, resetDatabase, setNow, get, post, admin } = require('./helpers');
+
+function saveData(openid, gameData, revision) {
+  const req = post('/api/save_data', gameData, openid);
+  return revision === undefined ? req : req.set('x-save-revision', String(revision));
+}
+
+describe('存档接口', () => {
+  beforeEach(async () => {
+    setNow('2026-10-19T04:00:00Z');
+    await resetDatabase();
+  });
+
+  describe('POST /api/save_data 与 GET /api/load_data', () => {
+    it('无存档时返回默认数据，保存后可读回', async () => {
+      let res = await get('/api/load_data', 'u1');
+      assert.strictEqual(res.body.code, 0);
+      assert.strictEqual(res.body.data.hasData, false);
+      assert.strictEqual(res.body.data.revision, 0);
+      assert.strictEqual(res.body.data.gameData.gold, 100);
+
+      res = await saveData('u1', { gold: 100, instanceID: 3, items: [{ id: 7 }] });
+      assert.strictEqual(res.body.code, 0);
+      assert.strictEqual(res.body.data.revision, 1);
+
+      res = await get('/api/load_data', 'u1');
+      assert.strictEqual(res.body.data.hasData, true);
+      assert.strictEqual(res.body.data.revision, 1);
+      assert.deepStrictEqual(res.body.data.gameData, { gold: 100, instanceID: 3, items: [{ id: 7, count: 1 }] });
+    });
+
+    it('存档中的金币以钱包余额为准，客户端上传的金币不生效', async () => {
+      await saveData('u1', { gold: 999999, instanceID: 1 });
+
+      let res = await get('/api/load_data', 'u1');
+      assert.strictEqual(res.body.data.gameData.gold, 100);
+
+      res = await get('/api/wallet', 'u1');
+      assert.strictEqual(res.body.data.balance, 100);
+    });
+
+    it('缺少用户身份时返回 401', async () => {
+      const res = await saveData(null, { gold: 1 });
+      assert.strictEqual(res.body.code, 401);
+    });
+
+    it('存档数据校验失败时返回错误列表', async () => {
+      const res = await saveData('u1', { gold: -1, items: 'x' });
+      assert.strictEqual(res.body.code, 400);
+      assert.ok(res.body.data.errors.length >= 2);
+    });
+
+    it('客户端版本落后时返回 1001 与服务器存档', async () => {
+      await saveData('u1', { instanceID: 1 }, 0);
+      await saveData('u1', { instanceID: 2 }, 1);
+
+      const res = await saveData('u1', { instanceID: 3 }, 1);
+      assert.strictEqual(res.body.code, 1001);
+      assert.strictEqual(res.body.data.revision, 2);
+      assert.strictEqual(res.body.data.gameData.instanceID, 2);
+    });
+
+    it('版本号格式错误时拒绝写入', async () => {
+      const res = await saveData('u1', { gold: 1 }, 'abc');
+      assert.strictEqual(res.body.code, 400);
+    });
+  });
+
+  describe('POST /api/patch_data', () => {
+    beforeEach(async () => {
+      await saveData('u1', { gold: 100, instanceID: 1, items: [] });
+    });
+
+    it('应用 JSON Merge Patch', async () => {
+      const res = await post('/api/patch_data', { merge: { instanceID: 4, gold: 250 } }, 'u1');
+      assert.strictEqual(res.body.code, 0);
+      assert.strictEqual(res.body.data.revision, 2);
+      assert.strictEqual(res.body.data.gameData.instanceID, 4);
+      // 金币不能通过补丁修改
+      assert.strictEqual(res.body.data.gameData.gold, 100);
+    });
+
+    it('应用 JSON Patch', async () => {
+      const res = await post('/api/patch_data', {
+        operations: [
+          { op: 'add', path: '/items/-', value: { id: 3, count: 2 } },
+          { op: 'replace', path: '/instanceID', value: 5 }
+        ]
+      }, 'u1');
+      assert.strictEqual(res.body.code, 0);
+      assert.deepStrictEqual(res.body.data.gameData.items, [{ id: 3, count: 2 }]);
+      assert.strictEqual(res.body.data.gameData.instanceID, 5);
+    });
+
+    it('补丁结果校验失败时不写入', async () => {
+      let res = await post('/api/patch_data', { merge: { gold: -5 } }, 'u1');
+      assert.strictEqual(res.body.code, 400);
+
+      res = await get('/api/load_data', 'u1');
+      assert.strictEqual(res.body.data.revision, 1);
+      assert.strictEqual(res.body.data.gameData.gold, 100);
+    });
+
+    it('merge 与 operations 同时提供时拒绝', async () => {
+      const res = await post('/api/patch_data', { merge: {}, operations: [] }, 'u1');
+      assert.strictEqual(res.body.code, 400);
+    });
+
+    it('版本冲突时返回 1001', async () => {
+      const res = await post('/api/patch_data', { merge: { gold: 1 } }, 'u1').set('x-save-revision', '0');
+      assert.strictEqual(res.body.code, 1001);
+    });
+  });
+
+  describe('存档历史与回滚', () => {
+    it('每次写入记录快照，玩家只能看到摘要', async () => {
+      await saveData('u1', { gold: 1 });
+      await saveData('u1', { gold: 2 });
+
+      const res = await get('/api/save/history', 'u1');
+      assert.strictEqual(res.body.code, 0);
+      assert.deepStrictEqual(res.body.data.list.map(item => item.revision), [2, 1]);
+      assert.strictEqual(res.body.data.list[0].gameData, undefined);
+      assert.strictEqual(res.body.data.list[0].source, 'client');
+    });
+
+    it('运营接口需要 x-admin-token', async () => {
+      const res = await get('/api/admin/save/history?openid=u1');
+      assert.strictEqual(res.status, 403);
+    });
+
+    it('运营可查看快照内容并回滚存档', async () => {
+      await saveData('u1', { instanceID: 1 });
+      await saveData('u1', { instanceID: 2 });
+
+      let res = await admin.get('/api/admin/save/history?openid=u1');
+      assert.strictEqual(res.body.code, 0);
+      const first = res.body.data.list.find(item => item.revision === 1);
+      assert.strictEqual(first.gameData.instanceID, 1);
+
+      res = await admin.post('/api/admin/save/restore', { openid: 'u1', historyId: first.id });
+      assert.strictEqual(res.body.code, 0);
+      assert.strictEqual(res.body.data.revision, 3);
+      assert.strictEqual(res.body.data.gameData.instanceID, 1);
+
+      const history = await db.GameSaveHistory.findAll({ where: { openid: 'u1' }, order: [['id', 'DESC']] });
+      assert.strictEqual(history[0].source, 'restore');
+    });
+
+    it('回滚不存在的快照返回 404', async () => {
+      const res = await admin.post('/api/admin/save/restore', { openid: 'u1', historyId: 999 });
+      assert.strictEqual(res.body.code, 404);
+    });
+  });
+});
@@ -0,0 +1,99 @@
+const assert = require('assert');
+const { db, resetDatabase, setNow, tick, admin, submitScore } = require('./helpers');
+const { registerJob, runDueJobs } = require('../scheduler');
+const gameDay = require('../gameDay');
+
+describe('定时任务调度', () => {
+  let flakyRuns = 0;
+  let flakyShouldFail = false;
+
+  before(() => {
+    registerJob({
+      name: 'test_flaky',
+      getRunKey: () => gameDay.getGameDateString(),
+      run: async () => {
+        flakyRuns++;
+        if (flakyShouldFail) {
+          throw new Error('boom');
+        }
+      }
+    });
+  });
+
+  beforeEach(async () => {
+    setNow('2026-10-19T04:00:00Z');
+    await resetDatabase();
+    flakyRuns = 0;
+    flakyShouldFail = false;
+  });
+
+  it('每个周期只执行一次', async () => {
+    assert.deepStrictEqual(await runDueJobs(), ['daily_rank_cleanup', 'test_flaky']);
+    assert.deepStrictEqual(await runDueJobs(), []);
+
+    // 北京时间次日零点后再次到期
+    setNow('2026-10-19T16:00:10Z');
+    assert.deepStrictEqual(await runDueJobs(), ['daily_rank_cleanup', 'test_flaky']);
+
+    const job = await db.ScheduledJob.findByPk('daily_rank_cleanup');
+    assert.strictEqual(job.lastRunKey, '2026-10-20');
+    assert.strictEqual(job.lastStatus, 'success');
+    assert.strictEqual(job.lockedBy, null);
+  });
+
+  it('租约被其他实例持有时跳过，租约过期后接手', async () => {
+    await db.ScheduledJob.create({
+      name: 'test_flaky',
+      lockedBy: 'other-instance',
+      lockedUntil: new Date(Date.now() + 60 * 1000)
+    });
+
+    assert.ok(!(await runDueJobs()).includes('test_flaky'));
+    assert.strictEqual(flakyRuns, 0);
+
+    tick(61 * 1000);
+    assert.ok((await runDueJobs()).includes('test_flaky'));
+    assert.strictEqual(flakyRuns, 1);
+  });
+
+  it('执行失败时记录错误，下次检查时重试', async () => {
+    flakyShouldFail = true;
+    await runDueJobs();
+
+    let job = await db.ScheduledJob.findByPk('test_flaky');
+    assert.strictEqual(job.lastStatus, 'failed');
+    assert.match(job.lastError, /boom/);
+    assert.strictEqual(job.lastRunKey, null);
+
+    flakyShouldFail = false;
+    await runDueJobs();
+    assert.strictEqual(flakyRuns, 2);
+
+    job = await db.ScheduledJob.findByPk('test_flaky');
+    assert.strictEqual(job.lastStatus, 'success');
+    assert.strictEqual(job.lastError, null);
+  });
+
+  it('停机错过零点后，启动时补执行结算', async () => {
+    await runDueJobs();
+    await submitScore('p1', 10);
+
+    // 停机三天后重新启动
+    setNow('2026-10-22T04:00:00Z');
+    assert.ok((await runDueJobs()).includes('daily_rank_cleanup'));
+
+    assert.strictEqual(await db.DailyRank.count(), 0);
+    assert.ok(await db.DailyRankArchive.findByPk('2026-10-19'));
+    assert.strictEqual(await db.RankReward.count({ where: { openid: 'p1' } }), 1);
+  });
+
+  it('GET /api/admin/jobs 返回任务状态', async () => {
+    await runDueJobs();
+
+    const res = await admin.get('/api/admin/jobs');
+    assert.strictEqual(res.body.code, 0);
+    const job = res.body.data.list.find(item => item.name === 'daily_rank_cleanup');
+    assert.strictEqual(job.lastRunKey, '2026-10-19');
+    assert.strictEqual(job.lastStatus, 'success');
+  });
+});
@@ -0,0 +1,153 @@
+const assert = require('assert');
+const { resetDatabase, setNow, tick, get, post, admin } = require('./helpers');
+
+async function getShareCode(openid) {
+  const res = await get('/api/share/code', openid);
+  return res.body.data.shareCode;
+}
+
+/**
+ * 被邀请者点击分享后创建首个存档，邀请即完成
+ */
+async function completeInvite(shareCode, inviteeOpenId) {
+  const res = await post('/api/share/record', { shareCode, scene: 1007 }, inviteeOpenId);
+  await post('/api/save_data', { gold: 0 }, inviteeOpenId);
+  return res;
+}
+
+describe('分享邀请接口', () => {
+  let shareCode;
+
+  beforeEach(async () => {
+    setNow('2026-10-19T04:00:00Z');
+    await resetDatabase();
+    shareCode = await getShareCode('inviter');
+  });
+
+  describe('GET /api/share/code', () => {
+    it('同一玩家多次获取得到相同的分享码', async () => {
+      assert.ok(shareCode);
+      assert.strictEqual(await getShareCode('inviter'), shareCode);
+      assert.notStrictEqual(await getShareCode('other'), shareCode);
+    });
+  });
+
+  describe('POST /api/share/record', () => {
+    it('新玩家点击后邀请为 pending，首次存档后计为完成', async () => {
+      let res = await post('/api/share/record', { shareCode }, 'friend');
+      assert.strictEqual(res.body.code, 0);
+      assert.strictEqual(res.body.data.status, 'pending');
+
+      res = await get('/api/share/stats', 'inviter');
+      assert.strictEqual(res.body.data.totalInvites, 0);
+      assert.strictEqual(res.body.data.pendingInvites, 1);
+
+      await post('/api/save_data', { gold: 0 }, 'friend');
+
+      res = await get('/api/share/stats', 'inviter');
+      assert.strictEqual(res.body.data.totalInvites, 1);
+      assert.strictEqual(res.body.data.pendingInvites, 0);
+      assert.strictEqual(res.body.data.inviteList.length, 1);
+    });
+
+    it('同一玩家被重复邀请时返回 2001', async () => {
+      await post('/api/share/record', { shareCode }, 'friend');
+
+      const otherCode = await getShareCode('other');
+      const res = await post('/api/share/record', { shareCode: otherCode }, 'friend');
+      assert.strictEqual(res.body.code, 2001);
+    });
+
+    it('分享码无效时返回 2004', async () => {
+      const res = await post('/api/share/record', { shareCode: 'nope' }, 'friend');
+      assert.strictEqual(res.body.code, 2004);
+    });
+
+    it('不能邀请自己', async () => {
+      const res = await post('/api/share/record', { shareCode }, 'inviter');
+      assert.strictEqual(res.body.code, 400);
+    });
+
+    it('已有存档的老玩家不计入邀请', async () => {
+      await post('/api/save_data', { gold: 0 }, 'veteran');
+      const res = await post('/api/share/record', { shareCode }, 'veteran');
+      assert.strictEqual(res.body.code, 2005);
+    });
+
+    it('分享者当日邀请数达到上限后返回 2006', async () => {
+      for (let i = 0; i < 3; i++) {
+        const res = await post('/api/share/record', { shareCode }, `friend${i}`);
+        assert.strictEqual(res.body.code, 0);
+      }
+      const res = await post('/api/share/record', { shareCode }, 'friend3');
+      assert.strictEqual(res.body.code, 2006);
+    });
+  });
+
+  describe('邀请里程碑', () => {
+    it('达到里程碑后可领取一次奖励并发放到存档', async () => {
+      let res = await post('/api/share/milestones/claim', { milestone: 1 }, 'inviter');
+      assert.strictEqual(res.body.code, 2002);
+
+      await completeInvite(shareCode, 'friend');
+
+      res = await get('/api/share/milestones', 'inviter');
+      assert.strictEqual(res.body.data.totalInvites, 1);
+      const first = res.body.data.milestones.find(item => item.count === 1);
+      assert.strictEqual(first.reached, true);
+      assert.strictEqual(first.claimed, false);
+
+      res = await post('/api/share/milestones/claim', { milestone: 1 }, 'inviter');
+      assert.strictEqual(res.body.code, 0);
+      assert.deepStrictEqual(res.body.data.reward, { gold: 100 });
+
+      res = await post('/api/share/milestones/claim', { milestone: 1 }, 'inviter');
+      assert.strictEqual(res.body.code, 2003);
+
+      res = await get('/api/load_data', 'inviter');
+      assert.strictEqual(res.body.data.gameData.gold, 200);
+    });
+
+    it('不存在的里程碑返回 400', async () => {
+      const res = await post('/api/share/milestones/claim', { milestone: 2 }, 'inviter');
+      assert.strictEqual(res.body.code, 400);
+    });
+  });
+
+  describe('运营风控接口', () => {
+    it('需要 x-admin-token', async () => {
+      const res = await get('/api/admin/share/flagged');
+      assert.strictEqual(res.status, 403);
+    });
+
+    it('标记命中上限的分享者，并可撤销其邀请', async () => {
+      for (let i = 0; i < 4; i++) {
+        await post('/api/share/record', { shareCode }, `friend${i}`);
+        tick(1000);
+      }
+
+      let res = await admin.get('/api/admin/share/flagged');
+      assert.strictEqual(res.body.code, 0);
+      const flagged = res.body.data.list.find(item => item.inviterOpenId === 'inviter');
+      assert.ok(flagged.reasons.includes('rate_limited'));
+
+      res = await admin.get('/api/admin/share/invites?inviterOpenId=inviter');
+      assert.strictEqual(res.body.data.invites.length, 3);
+      assert.ok(res.body.data.audits.some(item => item.action === 'rate_limited'));
+
+      res = await admin.post('/api/admin/share/revoke', { inviteIds: [res.body.data.invites[0].id], reason: '测试' });
+      assert.strictEqual(res.body.data.revoked, 1);
+
+      res = await admin.post('/api/admin/share/revoke', { inviterOpenId: 'inviter' });
+      assert.strictEqual(res.body.data.revoked, 2);
+
+      res = await admin.get('/api/admin/share/invites?inviterOpenId=inviter');
+      assert.ok(res.body.data.invites.every(item => item.status === 'revoked'));
+    });
+
+    it('撤销参数无效时返回 400', async () => {
+      const res = await admin.post('/api/admin/share/revoke', { inviteIds: [] });
+      assert.strictEqual(res.body.code, 400);
+    });
+  });
+});
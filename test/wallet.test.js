@@ -0,0 +1,155 @@
+const assert = require('assert');
+const { db, resetDatabase, setNow, get, post, admin } = require('./helpers');
+
+function spend(openid, body) {
+  return post('/api/wallet/spend', { reason: 'shop', ...body }, openid);
+}
+
+describe('钱包接口', () => {
+  beforeEach(async () => {
+    setNow('2026-10-19T04:00:00Z');
+    await resetDatabase();
+  });
+
+  describe('GET /api/wallet', () => {
+    it('新玩家以默认存档金币开户并记录初始化流水', async () => {
+      let res = await get('/api/wallet', 'u1');
+      assert.strictEqual(res.body.code, 0);
+      assert.strictEqual(res.body.data.balance, 100);
+
+      res = await get('/api/wallet/transactions', 'u1');
+      assert.deepStrictEqual(
+        res.body.data.list.map(item => [item.reason, item.amount, item.balanceAfter]),
+        [['init', 100, 100]]
+      );
+    });
+
+    it('引入钱包前的老玩家以存档中的金币开户', async () => {
+      await db.GameSave.create({ openid: 'old', gameData: JSON.stringify({ gold: 777 }), revision: 3 });
+
+      const res = await get('/api/wallet', 'old');
+      assert.strictEqual(res.body.data.balance, 777);
+    });
+
+    it('缺少用户身份时返回 401', async () => {
+      const res = await get('/api/wallet');
+      assert.strictEqual(res.status, 401);
+    });
+  });
+
+  describe('POST /api/wallet/spend', () => {
+    it('扣减余额并同步到存档读取结果', async () => {
+      const res = await spend('u1', { amount: 30, idempotencyKey: 'order-1', detail: { itemId: 5 } });
+      assert.strictEqual(res.body.code, 0);
+      assert.strictEqual(res.body.data.balance, 70);
+      assert.strictEqual(res.body.data.transaction.amount, -30);
+      assert.deepStrictEqual(res.body.data.transaction.detail, { itemId: 5 });
+
+      const load = await get('/api/load_data', 'u1');
+      assert.strictEqual(load.body.data.gameData.gold, 70);
+    });
+
+    it('同一幂等键只扣减一次', async () => {
+      await spend('u1', { amount: 30, idempotencyKey: 'order-1' });
+      let res = await spend('u1', { amount: 30, idempotencyKey: 'order-1' });
+      assert.strictEqual(res.body.code, 0);
+      assert.strictEqual(res.body.data.duplicate, true);
+      assert.strictEqual(res.body.data.balance, 70);
+
+      res = await spend('u1', { amount: 50, idempotencyKey: 'order-1' });
+      assert.strictEqual(res.body.code, 5002);
+
+      res = await get('/api/wallet', 'u1');
+      assert.strictEqual(res.body.data.balance, 70);
+    });
+
+    it('余额不足时返回 5001 且不扣减', async () => {
+      const res = await spend('u1', { amount: 101, idempotencyKey: 'order-1' });
+      assert.strictEqual(res.body.code, 5001);
+      assert.strictEqual(res.body.data.balance, 100);
+
+      const list = await get('/api/wallet/transactions', 'u1');
+      assert.strictEqual(list.body.data.list.length, 1);
+    });
+
+    it('参数无效时返回 400', async () => {
+      for (const body of [
+        { amount: 0, idempotencyKey: 'k' },
+        { amount: 1.5, idempotencyKey: 'k' },
+        { amount: 1 },
+        { amount: 1, idempotencyKey: 'k', reason: '' }
+      ]) {
+        const res = await spend('u1', body);
+        assert.strictEqual(res.status, 400, JSON.stringify(body));
+      }
+    });
+  });
+
+  describe('奖励入账', () => {
+    it('签到奖励记入钱包流水', async () => {
+      await post('/api/checkin/claim', {}, 'u1');
+
+      const res = await get('/api/wallet/transactions', 'u1');
+      assert.deepStrictEqual(
+        res.body.data.list.map(item => [item.reason, item.amount, item.idempotencyKey]),
+        [['checkin', 10, 'checkin:2026-10-19'], ['init', 100, 'init']]
+      );
+    });
+
+    it('客户端消耗的幂等键不会占用服务器发奖的幂等键', async () => {
+      let res = await spend('u1', { amount: 1, idempotencyKey: 'checkin:2026-10-19' });
+      assert.strictEqual(res.body.data.transaction.idempotencyKey, 'spend:checkin:2026-10-19');
+
+      res = await post('/api/checkin/claim', {}, 'u1');
+      assert.deepStrictEqual(res.body.data.reward, { gold: 10 });
+
+      res = await get('/api/wallet', 'u1');
+      assert.strictEqual(res.body.data.balance, 109);
+    });
+
+    it('相同幂等键的奖励只入账一次，道具仍写入存档', async () => {
+      const reward = { gold: 50, items: [{ id: 9, count: 1 }] };
+      await db.grantReward('u1', reward, { reason: 'test', idempotencyKey: 'test:1' });
+      await db.grantReward('u1', { gold: 50 }, { reason: 'test', idempotencyKey: 'test:1' });
+
+      const res = await get('/api/load_data', 'u1');
+      assert.strictEqual(res.body.data.gameData.gold, 150);
+      assert.deepStrictEqual(res.body.data.gameData.items, [{ id: 9, count: 1 }]);
+    });
+  });
+
+  describe('运营接口', () => {
+    it('调整玩家金币并查看流水', async () => {
+      let res = await admin.post('/api/admin/wallet/adjust', { openid: 'u1', amount: 500, reason: '停服补偿', idempotencyKey: 'comp-1' });
+      assert.strictEqual(res.body.code, 0);
+      assert.strictEqual(res.body.data.balance, 600);
+
+      res = await admin.post('/api/admin/wallet/adjust', { openid: 'u1', amount: 500, reason: '停服补偿', idempotencyKey: 'comp-1' });
+      assert.strictEqual(res.body.data.duplicate, true);
+
+      res = await admin.post('/api/admin/wallet/adjust', { openid: 'u1', amount: -1000, reason: '回收' });
+      assert.strictEqual(res.body.code, 5001);
+
+      res = await admin.get('/api/admin/wallet/transactions?openid=u1');
+      assert.strictEqual(res.body.data.balance, 600);
+      assert.deepStrictEqual(res.body.data.list[0].detail, { reason: '停服补偿' });
+    });
+
+    it('流水按 beforeId 翻页', async () => {
+      for (let i = 1; i <= 3; i++) {
+        await spend('u1', { amount: 1, idempotencyKey: `order-${i}` });
+      }
+
+      let res = await get('/api/wallet/transactions?limit=2', 'u1');
+      assert.deepStrictEqual(res.body.data.list.map(item => item.idempotencyKey), ['spend:order-3', 'spend:order-2']);
+
+      res = await get(`/api/wallet/transactions?limit=2&beforeId=${res.body.data.list[1].id}`, 'u1');
+      assert.deepStrictEqual(res.body.data.list.map(item => item.idempotencyKey), ['spend:order-1', 'init']);
+    });
+
+    it('需要 x-admin-token', async () => {
+      const res = await post('/api/admin/wallet/adjust', { openid: 'u1', amount: 1, reason: 'x' });
+      assert.strictEqual(res.status, 403);
+    });
+  });
+});